@@ -1,64 +1,233 @@
-// Energy escalation presets (% per year). Values are editable by the user via override.
-const ENERGY_ESCALATION_PRESETS = {
-  electricite: 3.0,
-  gaz: 3.0,
-  fioul: 3,
-  granule: 2,
-  plaquette: 2,
-  propane: 3,
-};
-
-const ENERGY_LABELS = {
-  electricite: 'Électricité',
-  gaz: 'Gaz',
-  fioul: 'Fioul',
-  granule: 'Granulé',
-  plaquette: 'Plaquette',
-  propane: 'Propane',
-};
-
-function parseNumber(input) {
-  if (input === '' || input === null || input === undefined) return NaN;
-  const normalized = String(input).replace(',', '.');
-  return Number(normalized);
-}
-
-function formatCurrency(value) {
-  return new Intl.NumberFormat('fr-FR', { style: 'currency', currency: 'EUR' }).format(value);
-}
-
-function formatNumber(value, digits = 4) {
-  return new Intl.NumberFormat('fr-FR', { minimumFractionDigits: 0, maximumFractionDigits: digits }).format(value);
-}
-
-function formatCurrency0(value) {
-  return new Intl.NumberFormat('fr-FR', { style: 'currency', currency: 'EUR', minimumFractionDigits: 0, maximumFractionDigits: 0 }).format(value);
-}
-
-function formatPercent(value) {
-  return new Intl.NumberFormat('fr-FR', { minimumFractionDigits: 1, maximumFractionDigits: 1 }).format(value) + '%';
-}
-
-// Compute evolution over years with escalation applied to the variable share only.
-function computeEvolution({ startYear, years, rows, escalationPctByEnergy }) {
-  const rowsOut = [];
-  for (let i = 0; i <= years; i += 1) {
-    const year = startYear + i;
-    let total = 0;
-    const details = rows.map((r) => {
-      const escalationPct = escalationPctByEnergy[r.energy];
-      const esc = (Math.max(escalationPct ?? 0, -99.9)) / 100;
-      const unitPriceYear = r.unitPrice * Math.pow(1 + esc, i);
-      const cost = unitPriceYear * r.kwh;
-      total += cost;
-      return { ...r, unitPriceYear, cost };
+import {
+  ENERGY_ESCALATION_PRESETS, ENERGY_COLORS, ENERGY_LABELS, EMISSION_FACTOR_PRESETS,
+  CONVERSION_DEFAULTS, CONVERSION_LABELS, ENERGY_UNITS, findUnit, parseNumber, formatNumber,
+  formatCurrency0, formatPercent, cumulativeTotal, cumulativeEmissions, cumulativeByEnergy,
+  annualGrowthPct, yearOverYear, detailLabels, isNativeUnit, buildBaseCsv, buildComparisonCsv,
+  buildResultsJson, PROJECT_SCHEMA_VERSION, ROW_NUMERIC_FIELDS, INVESTMENT_FIELDS, isPlainObject,
+  migrateProjectState, validateProjectState, priceSeries, BILL_FIT_METHODS, parseBillsCsv,
+  analyzeBills, ELECTRICITY_TARIFFS, tariffPeriod, CONSUMPTION_NUMERIC_FIELDS, VALUE_BASES,
+  VALUE_BASIS_DEFAULTS, MONTE_CARLO_DEFAULTS, MONTE_CARLO_SPREAD_FIELDS, conversionsFromState,
+  escalationFromState, trajectoriesFromState, prepareSimulation, runSimulation, sensitivityAnalysis,
+  simulationEnergies, solveBreakEven, BREAK_EVEN_RANGES, DEFAULT_ENERGY_LIBRARY, ENERGY_DEFAULT_PRICES,
+  isCoreEnergy, setEnergyLibrary, energyLibrary, projectEnergies, energyIdFromLabel, validateEnergyLibrary,
+  parseEnergyLibrary, PV_FIELDS, PV_DEFAULTS, PV_SURPLUS, detailEnergyLabel, detailEnergyColor,
+  HEATING_SYSTEMS, HEATING_DEFAULTS, HEATING_FIELDS, EQUIPMENT_FIELDS, EQUIPMENT_DEFAULTS, ownershipCost,
+  cumulativeOwnershipCost, MONTH_LABELS, SEASONAL_PROFILES, defaultProfile, directDebitPlan,
+  PORTFOLIO_SCHEMA_VERSION, portfolioSiteState, validatePortfolioState, runPortfolio
+} from './engine.js';
+
+// Line styles of the compared scenarios: the base is always solid blue, the alternatives take the
+// next colour / dash pattern in order.
+const BASE_STYLE = { color: '#3b82f6', dash: null };
+const SCENARIO_STYLES = [
+  { color: '#8b5cf6', dash: '5,5' },
+  { color: '#f59e0b', dash: '10,4' },
+  { color: '#10b981', dash: '2,4' },
+  { color: '#ef4444', dash: '10,4,2,4' },
+  { color: '#14b8a6', dash: '14,6' },
+  { color: '#ec4899', dash: '1,3' },
+];
+
+function scenarioStyle(index) {
+  return SCENARIO_STYLES[index % SCENARIO_STYLES.length];
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoked once the click is handled: some browsers cancel the download otherwise
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Project library in localStorage. Nothing leaves the browser.
+const PROJECTS_STORAGE_KEY = 'evolution-facture-energie:projects';
+
+// Saved projects, keyed by id: { id, name, updatedAt, state }
+function readProjectLibrary() {
+  try {
+    const library = JSON.parse(localStorage.getItem(PROJECTS_STORAGE_KEY) || '{}');
+    return isPlainObject(library) ? library : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeProjectLibrary(library) {
+  localStorage.setItem(PROJECTS_STORAGE_KEY, JSON.stringify(library));
+}
+
+// Portfolio of sites of this browser: { schemaVersion, name, startYear, years, valuation, escalation,
+// trajectories, sites: [{ name, overrideAssumptions, state }] }
+const PORTFOLIO_STORAGE_KEY = 'evolution-facture-energie:portfolio';
+
+function readPortfolio() {
+  try {
+    const portfolio = JSON.parse(localStorage.getItem(PORTFOLIO_STORAGE_KEY));
+    if (portfolio && !validatePortfolioState(portfolio).length) return portfolio;
+  } catch {
+    // Unreadable: start a new portfolio
+  }
+  return { schemaVersion: PORTFOLIO_SCHEMA_VERSION, name: '', sites: [] };
+}
+
+function writePortfolio(portfolio) {
+  localStorage.setItem(PORTFOLIO_STORAGE_KEY, JSON.stringify(portfolio));
+}
+
+// Energy library of this browser (see DEFAULT_ENERGY_LIBRARY); projects carry a copy of it
+const ENERGY_LIBRARY_STORAGE_KEY = 'evolution-facture-energie:energies';
+
+function readEnergyLibrary() {
+  try {
+    const library = JSON.parse(localStorage.getItem(ENERGY_LIBRARY_STORAGE_KEY));
+    return library && !validateEnergyLibrary(library).length ? library : DEFAULT_ENERGY_LIBRARY;
+  } catch {
+    return DEFAULT_ENERGY_LIBRARY;
+  }
+}
+
+function writeEnergyLibrary(library) {
+  localStorage.setItem(ENERGY_LIBRARY_STORAGE_KEY, JSON.stringify(library));
+}
+
+function makeProjectId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Shareable permalinks: the project state is pruned of empty values, deflated and base64url-encoded
+// into the URL hash (`#s=…`), so the link reopens the simulation without any server. Browsers without
+// CompressionStream fall back to uncompressed JSON (`#j=…`).
+const PERMALINK_COMPRESSED_PREFIX = '#s=';
+const PERMALINK_PLAIN_PREFIX = '#j=';
+
+function pruneEmpty(value) {
+  if (Array.isArray(value)) return value.map(pruneEmpty);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, v]) => v !== null && v !== undefined && v !== '')
+      .map(([k, v]) => [k, pruneEmpty(v)]));
+  }
+  return value;
+}
+
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach((b) => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+async function pipeBytes(bytes, stream) {
+  const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+  return new Uint8Array(buffer);
+}
+
+async function encodePermalinkState(state) {
+  const bytes = new TextEncoder().encode(JSON.stringify(pruneEmpty(state)));
+  if (typeof CompressionStream === 'undefined') return PERMALINK_PLAIN_PREFIX + bytesToBase64Url(bytes);
+  // zlib 'deflate' carries a checksum, so a tampered link fails to decompress
+  return PERMALINK_COMPRESSED_PREFIX + bytesToBase64Url(await pipeBytes(bytes, new CompressionStream('deflate')));
+}
+
+// Returns the validated state of a permalink hash, null when the hash is not a permalink,
+// and throws when it is one but cannot be read.
+async function decodePermalinkState(hash) {
+  let bytes;
+  if (hash.startsWith(PERMALINK_COMPRESSED_PREFIX)) {
+    if (typeof DecompressionStream === 'undefined') throw new Error('Lien compressé non pris en charge par ce navigateur.');
+    bytes = await pipeBytes(base64UrlToBytes(hash.slice(PERMALINK_COMPRESSED_PREFIX.length)), new DecompressionStream('deflate'));
+  } else if (hash.startsWith(PERMALINK_PLAIN_PREFIX)) {
+    bytes = base64UrlToBytes(hash.slice(PERMALINK_PLAIN_PREFIX.length));
+  } else {
+    return null;
+  }
+  const state = migrateProjectState(JSON.parse(new TextDecoder().decode(bytes)));
+  // Pruned collections come back as empty lists
+  if (isPlainObject(state)) {
+    state.escalation ??= {};
+    state.baseRows ??= [];
+    state.scenarios ??= [];
+    state.scenarioEnabled ??= false;
+    state.scenarios.forEach((scenario) => {
+      if (!isPlainObject(scenario)) return;
+      scenario.name ??= '';
+      scenario.rows ??= [];
     });
-    rowsOut.push({ year, total, details });
   }
-  return { rows: rowsOut };
+  const errors = validateProjectState(state);
+  if (errors.length) throw new Error(errors.join(' '));
+  return state;
+}
+
+// "1 000 L Fioul (9 960 kWh)" for native units, "9 960 kWh Électricité" otherwise
+function formatQuantity(detail) {
+  const label = detailEnergyLabel(detail);
+  if (detail.derivation) return `${formatNumber(detail.kwh, 0)} kWh ${label} (${detail.derivation})`;
+  if (!isNativeUnit(detail)) return `${formatNumber(detail.kwh, 0)} kWh ${label}`;
+  return `${formatNumber(detail.quantity, 2)} ${detail.unitLabel} ${label} (${formatNumber(detail.kwh, 0)} kWh)`;
+}
+
+function formatUnitPrice(detail) {
+  if (detail.periodsYear) {
+    const split = detail.periodsYear.map((p) => `${p.label} ${formatNumber(p.sharePct, 1)} % à ${formatNumber(p.unitPriceYear, 4)} €/kWh = ${formatCurrency0(p.cost)}`);
+    return `${formatNumber(detail.unitPriceYear, 4)} €/kWh moyen (${split.join(' ; ')})`;
+  }
+  const perKwh = `${formatNumber(detail.unitPriceYear, 4)} €/kWh`;
+  if (!isNativeUnit(detail)) return perKwh;
+  return `${formatNumber(detail.unitPriceYear * detail.kwhPerUnit, 4)} €/${detail.unitLabel} (${perKwh})`;
+}
+
+// "1,23 tCO₂e", with the carbon cost of the year when a carbon price is set
+function formatEmissions(row) {
+  const carbon = row.carbonCost > 0
+    ? `<br/><small>carbone ${formatCurrency0(row.carbonCost)}${row.carbonIncluded ? ' (inclus)' : ''}</small>`
+    : '';
+  return `${formatNumber(row.emissionsT, 2)} tCO₂e${carbon}`;
 }
 
-function renderBaseResults(evolution) {
+function formatFixedPart(detail) {
+  return detail.fixedCostYear > 0 ? ` + abonnement ${formatCurrency0(detail.fixedCostYear)}` : '';
+}
+
+// "PV 6 600 kWh, dont 2 640 autoconsommés · revente −264 €" for a year of a scenario with solar panels
+function formatPvYear(row) {
+  if (!row.pv) return '';
+  const resale = row.details.find((d) => d.energy === PV_SURPLUS.energy);
+  return `<br/><small>PV ${formatNumber(row.pv.productionKwh, 0)} kWh, dont ${formatNumber(row.pv.selfConsumedKwh, 0)} autoconsommés`
+    + ` · revente ${formatCurrency0(resale.cost)}</small>`;
+}
+
+// Equipment costs of a year, the non-zero ones
+function formatEquipmentYear(equipment) {
+  const parts = [
+    ['Entretien', equipment.maintenance],
+    ['ramonage', equipment.sweeping],
+    ['remplacement', equipment.replacement],
+    ['valeur résiduelle', equipment.residual],
+  ].filter(([, cost]) => cost !== 0);
+  return parts.map(([label, cost]) => `${label} ${formatCurrency0(cost)}`).join(' · ').replace(/^./, (c) => c.toUpperCase());
+}
+
+function formatEquipmentLine(row) {
+  const text = row.equipment ? formatEquipmentYear(row.equipment) : '';
+  return text ? `<br/><small>${text}</small>` : '';
+}
+
+function renderBaseResults(evolution, monteCarlo = null, history = null) {
   const section = document.getElementById('base-results-section');
   const tbody = document.querySelector('#base-results-table tbody');
   tbody.innerHTML = '';
@@ -68,26 +237,31 @@ function renderBaseResults(evolution) {
   
   // Update key metrics
   updateBaseMetrics(evolution);
+  updateUncertaintySummary('base-mc-summary', monteCarlo);
   
-  // Draw chart
-  drawChart(evolution, 'base-results-chart', 'base-chart-legend');
+  // Draw charts
+  drawChart(evolution, 'base-results-chart', 'base-chart-legend', monteCarlo?.base.yearly, history);
+  drawEmissionsChart('base-emissions-chart', 'base-emissions-legend', [{ label: 'Scénario Base', evolution, style: BASE_STYLE }]);
   
   // Fill table
   evolution.rows.forEach((row, index) => {
     const tr = document.createElement('tr');
     const detail = row.details
-      .map((d) => `${formatNumber(d.kwh, 0)} kWh ${ENERGY_LABELS[d.energy]} × ${formatNumber(d.unitPriceYear, 4)} €/kWh`)
+      .map((d) => `${formatQuantity(d)} × ${formatUnitPrice(d)}${formatFixedPart(d)}`)
       .join('<br/>');
     
-    const previousTotal = index > 0 ? evolution.rows[index - 1].total : row.total;
-    const evolutionPct = index > 0 ? ((row.total - previousTotal) / previousTotal) * 100 : 0;
-    const evolutionText = index === 0 ? '—' : `${formatCurrency0(row.total - previousTotal)} (${evolutionPct >= 0 ? '+' : ''}${formatNumber(evolutionPct, 1)}%)`;
+    const { diff, pct: evolutionPct } = yearOverYear(evolution.rows, index);
+    const evolutionText = index === 0 ? '—' : `${formatCurrency0(diff)} (${evolutionPct >= 0 ? '+' : ''}${formatNumber(evolutionPct, 1)}%)`;
     const evolutionClass = index > 0 ? (evolutionPct > 0 ? 'evolution-up' : (evolutionPct < 0 ? 'evolution-down' : '')) : '';
     
     tr.innerHTML = `
       <td><strong>${row.year}</strong></td>
       <td><strong>${formatCurrency0(row.total)}</strong></td>
+      <td>${formatCurrency0(row.variableTotal)}</td>
+      <td>${formatCurrency0(row.fixedTotal)}</td>
       <td class="${evolutionClass}">${evolutionText}</td>
+      <td>${formatNumber(row.kwhTotal, 0)} kWh</td>
+      <td>${formatEmissions(row)}</td>
       <td>${detail}</td>
     `;
     tbody.appendChild(tr);
@@ -96,8 +270,55 @@ function renderBaseResults(evolution) {
   section.hidden = false;
 }
 
-function renderComparisonResults(baseEvolution, scenarioEvolution) {
+// Portfolio results (see runPortfolio): totals, cost of each site by year and the ranking of the sites
+function renderPortfolioResults(portfolio) {
+  const { sites, rows, baseCost, scenarioCost, ranking, basis } = portfolio;
+  const savings = baseCost - scenarioCost;
+  document.getElementById('portfolio-base-cost').textContent = formatCurrency0(baseCost);
+  document.getElementById('portfolio-period').textContent = `${rows[0].year}–${rows[rows.length - 1].year}, ${basis?.label ?? VALUE_BASES.nominal}`;
+  document.getElementById('portfolio-scenario-cost').textContent = formatCurrency0(scenarioCost);
+  document.getElementById('portfolio-savings').textContent = formatCurrency0(savings);
+  document.getElementById('portfolio-savings-share').textContent = baseCost ? `${formatPercent((savings / baseCost) * 100)} du coût de base` : '—';
+
+  drawPortfolioChart('portfolio-chart', 'portfolio-chart-legend', portfolio);
+
+  document.querySelector('#portfolio-ranking tbody').innerHTML = ranking.map((site, rank) => `
+    <tr>
+      <td>${rank + 1}</td>
+      <td>${escapeHtml(site.name)}</td>
+      <td>${formatCurrency0(site.baseCost)}</td>
+      <td>${baseCost ? formatPercent((site.baseCost / baseCost) * 100) : '—'}</td>
+      <td>${site.scenario ? formatCurrency0(site.scenarioCost) : 'Pas de scénario'}</td>
+      <td class="${site.savings >= 0 ? 'economy-positive' : 'economy-negative'}">${site.scenario ? formatCurrency0(site.savings) : '—'}</td>
+      <td><button type="button" class="site-detail" data-site="${site.index}">Détail</button></td>
+    </tr>
+  `).join('');
+
+  const table = document.getElementById('portfolio-table');
+  table.querySelector('thead').innerHTML = `
+    <tr>
+      <th>Année</th>
+      ${sites.map((site) => `<th>${escapeHtml(site.name)}</th>`).join('')}
+      <th>Total</th>
+      <th>Avec les scénarios</th>
+    </tr>
+  `;
+  table.querySelector('tbody').innerHTML = rows.map((row) => `
+    <tr>
+      <td>${row.year}</td>
+      ${row.bySite.map((total) => `<td>${formatCurrency0(total)}</td>`).join('')}
+      <td><strong>${formatCurrency0(row.base)}</strong></td>
+      <td>${formatCurrency0(row.withScenarios)}</td>
+    </tr>
+  `).join('');
+
+  document.getElementById('portfolio-results-section').hidden = false;
+}
+
+// `scenarios` is a list of { name, evolution, investment } compared against the base.
+function renderComparisonResults(baseEvolution, scenarios, monteCarlo = null) {
   const section = document.getElementById('comparison-results-section');
+  const thead = document.querySelector('#comparison-table thead');
   const tbody = document.querySelector('#comparison-table tbody');
   tbody.innerHTML = '';
 
@@ -105,112 +326,432 @@ function renderComparisonResults(baseEvolution, scenarioEvolution) {
   document.getElementById('base-results-section').hidden = true;
   
   // Update comparison metrics
-  updateComparisonMetrics(baseEvolution, scenarioEvolution);
+  updateComparisonMetrics(baseEvolution, scenarios, monteCarlo);
+  updateUncertaintySummary('comparison-mc-summary', monteCarlo);
   
   // Draw combined chart instead of separate charts
-  drawCombinedChart(baseEvolution, scenarioEvolution);
+  drawCombinedChart(baseEvolution, scenarios, monteCarlo);
+  drawEmissionsChart('comparison-emissions-chart', 'comparison-emissions-legend', [
+    { label: 'Scénario Base', evolution: baseEvolution, style: BASE_STYLE },
+    ...scenarios.map((s, i) => ({ label: s.name, evolution: s.evolution, style: scenarioStyle(i) })),
+  ]);
+  drawEnergyBreakdown(baseEvolution, scenarios);
   
-  // Fill comparison table
-  const maxYears = Math.max(baseEvolution.rows.length, scenarioEvolution.rows.length);
-  for (let i = 0; i < maxYears; i += 1) {
-    const baseRow = baseEvolution.rows[i];
-    const scenarioRow = scenarioEvolution.rows[i];
-    
-    if (!baseRow || !scenarioRow) continue;
-    
+  // Fill comparison table, one column per scenario
+  thead.innerHTML = `
+    <tr>
+      <th>Année</th>
+      <th>Base</th>
+      ${scenarios.map((s) => `<th>${escapeHtml(s.name)}</th>`).join('')}
+      <th>Détail base</th>
+    </tr>
+  `;
+  baseEvolution.rows.forEach((baseRow, i) => {
     const tr = document.createElement('tr');
     const baseDetail = baseRow.details
-      .map((d) => `${formatNumber(d.kwh, 0)} kWh ${ENERGY_LABELS[d.energy]}`)
-      .join('<br/>');
-    const scenarioDetail = scenarioRow.details
-      .map((d) => `${formatNumber(d.kwh, 0)} kWh ${ENERGY_LABELS[d.energy]}`)
+      .map((d) => `${formatQuantity(d)}${formatFixedPart(d)} : ${formatCurrency0(d.cost)}`)
       .join('<br/>');
-    
-    const economy = baseRow.total - scenarioRow.total; // Positive = economy
-    const economyClass = economy > 0 ? 'economy-positive' : (economy < 0 ? 'economy-negative' : '');
-    const economyText = economy === 0 ? '—' : `${formatCurrency0(Math.abs(economy))} ${economy > 0 ? '✓' : '✗'}`;
-    
+
+    const scenarioCells = scenarios.map((s) => {
+      const scenarioRow = s.evolution.rows[i];
+      const scenarioDetail = scenarioRow.details
+        .map((d) => `${formatQuantity(d)}${formatFixedPart(d)} : ${formatCurrency0(d.cost)}`)
+        .join('\n');
+      const economy = baseRow.total - scenarioRow.total; // Positive = economy
+      const economyClass = economy > 0 ? 'economy-positive' : (economy < 0 ? 'economy-negative' : '');
+      const economyText = economy === 0 ? '—' : `${formatCurrency0(Math.abs(economy))} ${economy > 0 ? '✓' : '✗'}`;
+      return `
+        <td title="${escapeHtml(scenarioDetail)}">
+          <strong>${formatCurrency0(scenarioRow.total)}</strong><br/>
+          <span class="${economyClass}">${economyText}</span><br/>
+          <small>${formatNumber(scenarioRow.kwhTotal, 0)} kWh · ${formatNumber(scenarioRow.emissionsT, 2)} tCO₂e</small>${formatPvYear(scenarioRow)}${formatEquipmentLine(scenarioRow)}
+        </td>
+      `;
+    });
+
     tr.innerHTML = `
       <td><strong>${baseRow.year}</strong></td>
-      <td><strong>${formatCurrency0(baseRow.total)}</strong></td>
-      <td><strong>${formatCurrency0(scenarioRow.total)}</strong></td>
-      <td class="${economyClass}"><strong>${economyText}</strong></td>
+      <td><strong>${formatCurrency0(baseRow.total)}</strong><br/><small>${formatNumber(baseRow.kwhTotal, 0)} kWh · ${formatNumber(baseRow.emissionsT, 2)} tCO₂e</small>${formatEquipmentLine(baseRow)}</td>
+      ${scenarioCells.join('')}
       <td>${baseDetail}</td>
-      <td>${scenarioDetail}</td>
     `;
     tbody.appendChild(tr);
-  }
+  });
 
   section.hidden = false;
 }
 
+// Stacked areas by energy of every scenario, side by side on a common scale, and the cumulative cost of
+// each energy against the base.
+function drawEnergyBreakdown(baseEvolution, scenarios) {
+  const container = document.getElementById('comparison-breakdown');
+  const sets = [{ name: 'Scénario Base', evolution: baseEvolution }, ...scenarios];
+  const yMax = Math.max(...sets.flatMap((s) => s.evolution.rows.map((r) => ownershipCost(r) - (r.equipment?.residual ?? 0))));
+  container.innerHTML = sets.map((s, i) => `
+    <div class="breakdown-item">
+      <h4>${escapeHtml(s.name)}</h4>
+      <div class="chart-wrapper">
+        <svg id="breakdown-chart-${i}" viewBox="0 0 800 400" preserveAspectRatio="xMidYMid meet"></svg>
+        <div id="breakdown-legend-${i}" class="chart-legend"></div>
+      </div>
+    </div>
+  `).join('');
+  sets.forEach((s, i) => drawChart(s.evolution, `breakdown-chart-${i}`, `breakdown-legend-${i}`, null, null, yMax));
+
+  // One line per energy met in any scenario, with the difference of each alternative to the base
+  const breakdowns = sets.map((s) => cumulativeByEnergy(s.evolution));
+  const keys = [...new Map(breakdowns.flat().map((item) => [item.key, item])).values()];
+  const costOf = (breakdown, key) => breakdown.find((item) => item.key === key)?.cost ?? 0;
+  const difference = (value) => (value === 0 ? '—'
+    : `<span class="${value > 0 ? 'economy-positive' : 'economy-negative'}">${value > 0 ? '−' : '+'}${formatCurrency0(Math.abs(value))}</span>`);
+  const table = document.getElementById('energy-difference-table');
+  table.querySelector('thead').innerHTML = `
+    <tr>
+      <th>Énergie (coût cumulé, ${baseEvolution.basis?.label ?? VALUE_BASES.nominal})</th>
+      <th>Base</th>
+      ${scenarios.map((s) => `<th>${escapeHtml(s.name)}</th><th>Écart</th>`).join('')}
+    </tr>
+  `;
+  const line = (label, values) => `
+    <tr>
+      <td>${label}</td>
+      <td>${formatCurrency0(values[0])}</td>
+      ${values.slice(1).map((v) => `<td>${formatCurrency0(v)}</td><td>${difference(values[0] - v)}</td>`).join('')}
+    </tr>
+  `;
+  table.querySelector('tbody').innerHTML = [
+    ...keys.map((item) => line(
+      `<span class="legend-swatch" style="background:${item.color}"></span>${escapeHtml(item.label)}`,
+      breakdowns.map((b) => costOf(b, item.key)),
+    )),
+    line('<strong>Total</strong>', breakdowns.map((b) => b.reduce((sum, item) => sum + item.cost, 0))),
+  ].join('');
+}
+
 function updateBaseMetrics(evolution) {
   const first = evolution.rows[0]?.total ?? 0;
   const last = evolution.rows[evolution.rows.length - 1]?.total ?? 0;
-  const years = evolution.rows.length - 1;
-  
-  // Calculate cumulative total
-  let cumulativeTotal = 0;
-  evolution.rows.forEach(row => {
-    cumulativeTotal += row.total;
-  });
-  
-  const annualAverage = cumulativeTotal / evolution.rows.length;
+  const total = cumulativeTotal(evolution);
+  const annualAverage = total / evolution.rows.length;
   const totalGrowth = first > 0 ? ((last - first) / first) * 100 : 0;
-  const cagr = first > 0 ? (Math.pow(last / first, 1 / years) - 1) * 100 : 0;
+  const cagr = annualGrowthPct(evolution);
   
   // Update metrics
-  document.getElementById('base-total-cost').textContent = formatCurrency0(cumulativeTotal);
+  document.getElementById('base-total-cost').textContent = formatCurrency0(total);
+  document.getElementById('base-total-label').textContent = `Coût total sur la période (${evolution.basis?.label ?? VALUE_BASES.nominal})`;
   document.getElementById('base-annual-average').textContent = `${formatCurrency0(annualAverage)} / an en moyenne`;
   document.getElementById('base-first-year').textContent = formatCurrency0(first);
   document.getElementById('base-last-year').textContent = formatCurrency0(last);
   document.getElementById('base-growth').textContent = `${totalGrowth >= 0 ? '+' : ''}${formatNumber(totalGrowth, 1)}%`;
   document.getElementById('base-cagr').textContent = formatPercent(cagr);
+  document.getElementById('base-cagr-sub').textContent = evolution.basis?.mode === 'constant'
+    ? 'au-delà de l\'inflation générale'
+    : `en ${evolution.basis?.label ?? VALUE_BASES.nominal}`;
+  document.getElementById('base-emissions').textContent = `${formatNumber(cumulativeEmissions(evolution), 1)} t`;
+  document.getElementById('base-emissions-sub').textContent = `${formatNumber(evolution.rows[0]?.emissionsT ?? 0, 2)} tCO₂e la première année`;
 }
 
-function updateComparisonMetrics(baseEvolution, scenarioEvolution) {
-  // Calculate cumulative totals
-  let baseCumulative = 0;
-  let scenarioCumulative = 0;
-  
-  baseEvolution.rows.forEach(row => { baseCumulative += row.total; });
-  scenarioEvolution.rows.forEach(row => { scenarioCumulative += row.total; });
-  
-  const baseFirst = baseEvolution.rows[0]?.total ?? 0;
-  const baseLast = baseEvolution.rows[baseEvolution.rows.length - 1]?.total ?? 0;
-  const scenarioFirst = scenarioEvolution.rows[0]?.total ?? 0;
-  const scenarioLast = scenarioEvolution.rows[scenarioEvolution.rows.length - 1]?.total ?? 0;
+// Metrics table with one column per scenario (base included), ranked by cumulative cost.
+function updateComparisonMetrics(baseEvolution, scenarios, monteCarlo = null) {
+  const table = document.getElementById('comparison-metrics-table');
+  const baseCumulative = cumulativeTotal(baseEvolution);
   const years = baseEvolution.rows.length - 1;
-  
-  const baseCagr = baseFirst > 0 ? (Math.pow(baseLast / baseFirst, 1 / years) - 1) * 100 : 0;
-  const scenarioCagr = scenarioFirst > 0 ? (Math.pow(scenarioLast / scenarioFirst, 1 / years) - 1) * 100 : 0;
-  
-  const difference = baseCumulative - scenarioCumulative; // Positive = economy
-  const differencePct = baseCumulative > 0 ? (difference / baseCumulative) * 100 : 0;
-  
-  // Update comparison metrics
-  document.getElementById('comp-base-total').textContent = formatCurrency0(baseCumulative);
-  document.getElementById('comp-base-first').textContent = formatCurrency0(baseFirst);
-  document.getElementById('comp-base-last').textContent = formatCurrency0(baseLast);
-  document.getElementById('comp-base-cagr').textContent = formatPercent(baseCagr);
-  
-  document.getElementById('comp-scenario-total').textContent = formatCurrency0(scenarioCumulative);
-  document.getElementById('comp-scenario-first').textContent = formatCurrency0(scenarioFirst);
-  document.getElementById('comp-scenario-last').textContent = formatCurrency0(scenarioLast);
-  document.getElementById('comp-scenario-cagr').textContent = formatPercent(scenarioCagr);
-  
-  document.getElementById('comp-difference').textContent = formatCurrency0(Math.abs(difference));
-  document.getElementById('comp-difference').className = `metric-value ${difference > 0 ? 'economy' : 'loss'}`;
-  document.getElementById('comp-years').textContent = baseEvolution.rows.length -1;
-  document.getElementById('comp-percentage').textContent = `${difference > 0 ? 'Économie' : 'Surcoût'} de ${formatNumber(Math.abs(differencePct), 1)}%`;
+
+  const columns = [
+    { name: 'Base', evolution: baseEvolution, investment: null, style: BASE_STYLE, isBase: true, uncertainty: monteCarlo?.base },
+    ...scenarios.map((s, i) => ({ ...s, style: scenarioStyle(i), isBase: false, uncertainty: monteCarlo?.scenarios[i] })),
+  ]
+    .map((c) => ({ ...c, cumulative: cumulativeTotal(c.evolution) }))
+    .sort((a, b) => a.cumulative - b.cumulative);
+
+  const row = (label, render) => `<tr><th scope="row">${label}</th>${columns.map((c, index) => `<td>${render(c, index)}</td>`).join('')}</tr>`;
+
+  const rows = [
+    row('Rang', (c, index) => `<strong>${index + 1}${index === 0 ? 'er' : 'e'}</strong>`),
+    row(`Coût total cumulé (${years} ans, ${baseEvolution.basis?.label ?? VALUE_BASES.nominal})`, (c) => `<strong>${formatCurrency0(c.cumulative)}</strong>`),
+    row('Première année', (c) => formatCurrency0(c.evolution.rows[0]?.total ?? 0)),
+    row('Dernière année', (c) => formatCurrency0(c.evolution.rows[c.evolution.rows.length - 1]?.total ?? 0)),
+    row('Hausse annuelle moyenne de la facture', (c) => formatPercent(annualGrowthPct(c.evolution))),
+    row(`Économie totale cumulée (${baseEvolution.basis?.label ?? VALUE_BASES.nominal})`, (c) => {
+      if (c.isBase) return '—';
+      const difference = baseCumulative - c.cumulative; // Positive = economy
+      const differencePct = baseCumulative > 0 ? (difference / baseCumulative) * 100 : 0;
+      return `<span class="${difference > 0 ? 'economy-positive' : 'economy-negative'}">${formatCurrency0(Math.abs(difference))}</span><br/>`
+        + `<small>${difference > 0 ? 'Économie' : 'Surcoût'} de ${formatNumber(Math.abs(differencePct), 1)}%</small>`;
+    }),
+  ];
+
+  // Total cost of ownership: energy, equipment costs and the net investment of the scenario
+  if (columns.some((c) => c.investment || c.evolution.rows.some((r) => r.equipment))) {
+    const ownership = (c) => cumulativeOwnershipCost(c.evolution) + (c.investment?.netInvestment ?? 0);
+    const baseOwnership = ownership(columns.find((c) => c.isBase));
+    rows.push(
+      row('Entretien et remplacement cumulés', (c) => (c.evolution.rows.some((r) => r.equipment)
+        ? formatCurrency0(cumulativeOwnershipCost(c.evolution) - c.cumulative)
+        : '—')),
+      row('Coût total de possession (énergie, équipements, investissement net)', (c) => {
+        const total = `<strong>${formatCurrency0(ownership(c))}</strong>`;
+        if (c.isBase) return total;
+        const difference = baseOwnership - ownership(c);
+        return `${total}<br/><small class="${difference > 0 ? 'economy-positive' : 'economy-negative'}">`
+          + `${difference > 0 ? 'Économie' : 'Surcoût'} de ${formatCurrency0(Math.abs(difference))}</small>`;
+      }),
+    );
+  }
+
+  // Abatement cost: extra spending (energy and net investment, carbon cost excluded) per tonne avoided
+  const energyCumulative = (evolution) => evolution.rows.reduce((sum, r) => sum + r.total - (r.carbonIncluded ? r.carbonCost : 0), 0);
+  const baseEmissions = cumulativeEmissions(baseEvolution);
+  rows.push(
+    row('Émissions cumulées', (c) => `${formatNumber(cumulativeEmissions(c.evolution), 1)} tCO₂e`),
+    row('Émissions évitées', (c) => {
+      if (c.isBase) return '—';
+      const avoided = baseEmissions - cumulativeEmissions(c.evolution);
+      return `<span class="${avoided > 0 ? 'economy-positive' : 'economy-negative'}">${formatNumber(avoided, 1)} tCO₂e</span>`;
+    }),
+    row('Coût par tonne évitée', (c) => {
+      const avoided = baseEmissions - cumulativeEmissions(c.evolution);
+      if (c.isBase || avoided <= 0) return '—';
+      const extraCost = energyCumulative(c.evolution) - energyCumulative(baseEvolution) + (c.investment?.netInvestment ?? 0);
+      return `${formatCurrency0(extraCost / avoided)} / t<br/><small>${extraCost < 0 ? 'gain net' : 'surcoût net'}${c.investment ? ', investissement compris' : ''}</small>`;
+    }),
+  );
+
+  if (monteCarlo) {
+    rows.push(
+      row('Coût cumulé P10 / P50 / P90', (c) => ['p10', 'p50', 'p90'].map((p) => formatCurrency0(c.uncertainty.cumulative[p])).join('<br/>')),
+      row('Probabilité de coûter moins que la base', (c) => (c.isBase ? '—' : `<strong>${formatNumber(c.uncertainty.probabilityCheaper * 100, 1)}%</strong>`)),
+    );
+  }
+
+  if (scenarios.some((s) => s.investment)) {
+    const investmentRow = (label, render) => row(label, (c) => (c.investment ? render(c.investment) : '—'));
+    rows.push(
+      investmentRow('Reste à charge', (inv) => `${formatCurrency0(inv.equity)}<br/><small>${inv.loanAmount > 0
+        ? `dont ${formatCurrency0(inv.loanAmount)} empruntés (${formatCurrency0(inv.loanPayment)} / an)`
+        : `${formatCurrency0(inv.investment)} - ${formatCurrency0(inv.subsidies)} d'aides`}</small>`),
+      investmentRow('Retour sur investissement', (inv) => (inv.paybackYear !== null
+        ? `${inv.paybackYear}<br/><small>${inv.paybackYear - inv.flows[0].year + 1} an(s)</small>`
+        : 'Non atteint')),
+      investmentRow('Valeur actuelle nette', (inv) => `<span class="${inv.npv >= 0 ? 'economy-positive' : 'economy-negative'}">${formatCurrency0(inv.npv)}</span>`
+        + `<br/><small>actualisée à ${formatPercent(inv.discountRatePct)}</small>`),
+      investmentRow('Taux de rentabilité interne', (inv) => (inv.irr !== null ? formatPercent(inv.irr) : '—')),
+    );
+  }
+
+  table.querySelector('thead').innerHTML = `
+    <tr>
+      <th></th>
+      ${columns.map((c) => `<th><span class="legend-swatch" style="background:${c.style.color}"></span>${escapeHtml(c.name)}</th>`).join('')}
+    </tr>
+  `;
+  table.querySelector('tbody').innerHTML = rows.join('');
+}
+
+function updateUncertaintySummary(elementId, monteCarlo) {
+  const element = document.getElementById(elementId);
+  element.hidden = !monteCarlo;
+  if (!monteCarlo) return;
+  const { p10, p50, p90 } = monteCarlo.base.cumulative;
+  element.textContent = `Mode probabiliste : ${formatNumber(monteCarlo.runs, 0)} simulations (graine ${monteCarlo.seed}). `
+    + `Coût cumulé de la base : P10 ${formatCurrency0(p10)} · P50 ${formatCurrency0(p50)} · P90 ${formatCurrency0(p90)}. `
+    + 'Les zones ombrées des graphiques couvrent l\'intervalle P10–P90.';
+}
+
+// Round axis ticks (steps of 1, 2, 2.5 or 5 × 10ⁿ) covering [min, max]; the axis spans the first to the last tick.
+function niceTicks(min, max, count = 5) {
+  const span = max > min ? max - min : Math.abs(max) || 1;
+  const rough = span / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 2.5, 5, 10].map((m) => m * magnitude).find((s) => s >= rough * (1 - 1e-9));
+  const lo = Math.floor(min / step + 1e-9) * step;
+  const hi = Math.max(Math.ceil(max / step - 1e-9) * step, lo + step);
+  const ticks = [];
+  for (let i = 0; lo + i * step <= hi + step / 2; i += 1) ticks.push(lo + i * step);
+  return { min: lo, max: hi, ticks };
+}
+
+// Years labelled on the x axis, thinned out on long horizons so the labels do not overlap
+function labelledYears(years, maxLabels = 16) {
+  const every = Math.ceil(years.length / maxLabels);
+  return years.filter((_, i) => i % every === 0 || i === years.length - 1);
+}
+
+// Series hidden from the legend, per chart (svg id); kept across redraws and recalculations.
+const hiddenSeries = {};
+
+function isSeriesHidden(svgId, key) {
+  return hiddenSeries[svgId]?.has(key) ?? false;
+}
+
+// Legend entry of a chart. With a `key`, clicking it (or Enter / Space) hides or shows the series and
+// calls `redraw`, which rebuilds the chart and its legend with the axes fitted to the visible series.
+function appendLegendItem(legend, { label, color, dash = false, swatchOpacity = 1, svgId, key, redraw }) {
+  if (!legend) return;
+  const item = document.createElement('div');
+  item.className = 'legend-item';
+  item.dataset.color = color;
+  const sw = document.createElement('span');
+  sw.className = 'legend-swatch';
+  sw.style.background = dash ? `repeating-linear-gradient(90deg, ${color}, ${color} 3px, transparent 3px, transparent 6px)` : color;
+  if (swatchOpacity < 1) sw.style.opacity = String(swatchOpacity);
+  const text = document.createElement('span');
+  text.textContent = label;
+  item.appendChild(sw);
+  item.appendChild(text);
+
+  if (key) {
+    const hidden = isSeriesHidden(svgId, key);
+    item.classList.add('legend-toggle');
+    item.classList.toggle('is-hidden', hidden);
+    item.dataset.series = key;
+    item.tabIndex = 0;
+    item.setAttribute('role', 'button');
+    item.setAttribute('aria-pressed', String(!hidden));
+    item.title = hidden ? 'Afficher la série' : 'Masquer la série';
+    const toggle = () => {
+      const set = (hiddenSeries[svgId] ??= new Set());
+      if (set.has(key)) set.delete(key);
+      else set.add(key);
+      redraw();
+      legend.querySelector(`[data-series="${key}"]`)?.focus();
+    };
+    item.addEventListener('click', toggle);
+    item.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        toggle();
+      }
+    });
+  }
+  legend.appendChild(item);
+}
+
+// Hover / focus tooltips: one transparent, focusable column per year over the plot area, and a guide
+// line on the active year. `describe(index)` returns the HTML of the tooltip of years[index].
+function attachChartTooltips(svg, make, { years, x, margin, innerH, width, describe }) {
+  const wrapper = svg.parentElement;
+  let tooltip = wrapper.querySelector('.chart-tooltip');
+  if (!tooltip) {
+    tooltip = document.createElement('div');
+    tooltip.className = 'chart-tooltip';
+    tooltip.setAttribute('aria-live', 'polite');
+    wrapper.appendChild(tooltip);
+  }
+  tooltip.hidden = true;
+
+  const guide = make('line', {
+    class: 'chart-hit', y1: margin.top, y2: margin.top + innerH, stroke: '#6b7280', 'stroke-dasharray': '3,3', visibility: 'hidden'
+  });
+  svg.appendChild(guide);
+
+  const hide = () => {
+    tooltip.hidden = true;
+    guide.setAttribute('visibility', 'hidden');
+  };
+  years.forEach((year, i) => {
+    const xx = x(year);
+    const left = i > 0 ? (x(years[i - 1]) + xx) / 2 : margin.left;
+    const right = i < years.length - 1 ? (xx + x(years[i + 1])) / 2 : width - margin.right;
+    const hit = make('rect', {
+      class: 'chart-hit', x: left, y: margin.top, width: Math.max(right - left, 1), height: innerH, fill: 'transparent', tabindex: 0,
+      'aria-label': String(year)
+    });
+    const show = () => {
+      guide.setAttribute('x1', xx);
+      guide.setAttribute('x2', xx);
+      guide.setAttribute('visibility', 'visible');
+      tooltip.innerHTML = describe(i);
+      tooltip.hidden = false;
+      // Placed beside the guide line, on the side with the most room
+      const pct = (xx / width) * 100;
+      tooltip.style.top = '12px';
+      tooltip.style.left = pct <= 50 ? `calc(${pct}% + 12px)` : '';
+      tooltip.style.right = pct > 50 ? `calc(${100 - pct}% + 12px)` : '';
+    };
+    hit.addEventListener('mouseenter', show);
+    hit.addEventListener('focus', show);
+    hit.addEventListener('mouseleave', hide);
+    hit.addEventListener('blur', hide);
+    svg.appendChild(hit);
+  });
+}
+
+// Standalone SVG of a chart for reports: interaction layers removed, visible legend entries drawn below.
+function exportChartSvg(svg, legend) {
+  const [, , width, height] = svg.getAttribute('viewBox').split(' ').map(Number);
+  const clone = svg.cloneNode(true);
+  clone.querySelectorAll('.chart-hit').forEach((el) => el.remove());
+  const make = (name, attrs, text) => {
+    const el = document.createElementNS('http://www.w3.org/2000/svg', name);
+    for (const k in attrs) el.setAttribute(k, attrs[k]);
+    if (text !== undefined) el.textContent = text;
+    return el;
+  };
+
+  const items = legend ? Array.from(legend.querySelectorAll('.legend-item:not(.is-hidden)')) : [];
+  const perLine = 3;
+  const legendHeight = Math.ceil(items.length / perLine) * 20 + (items.length ? 10 : 0);
+  items.forEach((item, i) => {
+    const xx = 20 + (i % perLine) * ((width - 40) / perLine);
+    const yy = height + 10 + Math.floor(i / perLine) * 20;
+    clone.appendChild(make('rect', { x: xx, y: yy + 4, width: 14, height: 6, rx: 2, fill: item.dataset.color }));
+    clone.appendChild(make('text', { x: xx + 20, y: yy + 11, fill: '#374151', 'font-size': '11' }, item.textContent));
+  });
+
+  const totalHeight = height + legendHeight;
+  clone.setAttribute('viewBox', `0 0 ${width} ${totalHeight}`);
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', totalHeight);
+  clone.setAttribute('font-family', 'system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif');
+  clone.insertBefore(make('rect', { x: 0, y: 0, width, height: totalHeight, fill: '#ffffff' }), clone.firstChild);
+  return { markup: new XMLSerializer().serializeToString(clone), width, height: totalHeight };
+}
+
+// Same chart as a PNG (twice the SVG size for sharp printing), rendered through a canvas.
+function exportChartPng(svg, legend, filename) {
+  const { markup, width, height } = exportChartSvg(svg, legend);
+  const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+  const image = new Image();
+  image.onload = () => {
+    const scale = 2;
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob((blob) => downloadFile(filename, blob, 'image/png'), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    alert('Impossible de générer l\'image PNG dans ce navigateur ; utilisez l\'export SVG.');
+  };
+  image.src = url;
+}
+
+// Shaded P10–P90 band with a dashed P50 line, for a chart scale (x, y).
+function drawUncertaintyBand(svg, make, bands, x, y, color) {
+  const upper = bands.map((b) => `${x(b.year)} ${y(b.p90)}`);
+  const lower = bands.map((b) => `${x(b.year)} ${y(b.p10)}`).reverse();
+  svg.appendChild(make('path', { d: `M ${upper.join(' L ')} L ${lower.join(' L ')} Z`, fill: color, 'fill-opacity': 0.15, stroke: 'none' }));
+  svg.appendChild(make('path', {
+    d: `M ${bands.map((b) => `${x(b.year)} ${y(b.p50)}`).join(' L ')}`,
+    fill: 'none', stroke: color, 'stroke-width': 1.5, 'stroke-dasharray': '2,3'
+  }));
 }
 
-function drawChart(evolution, svgId, legendId) {
+// `history` ([{ year, total }], from imported bills) is drawn before the first projected year; `yMax`
+// keeps a common scale across several charts.
+function drawChart(evolution, svgId, legendId, bands = null, history = null, yMax = 0) {
   const svg = document.getElementById(svgId);
   if (!svg) return;
   while (svg.firstChild) svg.removeChild(svg.firstChild);
   const legend = document.getElementById(legendId);
   if (legend) legend.innerHTML = '';
+  const redraw = () => drawChart(evolution, svgId, legendId, bands, history, yMax);
+  const hidden = (key) => isSeriesHidden(svgId, key);
 
   const width = 800;
   const height = 400;
@@ -218,18 +759,46 @@ function drawChart(evolution, svgId, legendId) {
   const innerW = width - margin.left - margin.right;
   const innerH = height - margin.top - margin.bottom;
 
-  const years = evolution.rows.map((r) => r.year);
-  const totals = evolution.rows.map((r) => r.total);
-  const energyKeys = evolution.rows[0]?.details?.map((d) => d.energy) || [];
+  // Fixed charges (abonnements) form the bottom layer, then the variable cost of each energy; negative
+  // layers (PV surplus resale) are stacked below zero
+  const details = evolution.rows[0]?.details ?? [];
+  const labels = detailLabels(details);
+  const layers = [];
+  if (evolution.rows.some((row) => row.fixedTotal > 0)) {
+    layers.push({ key: 'fixed', label: 'Abonnements (part fixe)', color: '#9ca3af', value: (row) => row.fixedTotal });
+  }
+  details.forEach((d, idx) => {
+    layers.push({ key: `energy-${idx}`, label: labels[idx], color: detailEnergyColor(d), value: (row) => row.details[idx].variableCost });
+  });
+  // Carbon cost on top when it is part of the totals
+  if (evolution.rows.some((row) => row.carbonIncluded && row.carbonCost > 0)) {
+    layers.push({ key: 'carbon', label: 'Coût carbone', color: '#374151', value: (row) => (row.carbonIncluded ? row.carbonCost : 0) });
+  }
+  // Then the equipment costs, the residual value below zero
+  if (evolution.rows.some((row) => row.equipment)) {
+    layers.push({ key: 'equipment', label: 'Entretien et remplacement', color: '#a16207', value: (row) => row.equipment.total - row.equipment.residual });
+  }
+  if (evolution.rows.some((row) => row.equipment?.residual < 0)) {
+    layers.push({ key: 'residual', label: 'Valeur résiduelle des équipements', color: '#65a30d', value: (row) => row.equipment.residual });
+  }
+  const visibleLayers = layers.filter((layer) => !hidden(layer.key));
+
+  const past = hidden('history') ? [] : (history ?? []).filter((h) => h.year < evolution.rows[0]?.year);
+  const visibleBands = bands && !hidden('bands') ? bands : [];
+  const years = [...past.map((h) => h.year), ...evolution.rows.map((r) => r.year)];
+  const stacked = evolution.rows.map((row) => visibleLayers.reduce((sum, layer) => sum + Math.max(layer.value(row), 0), 0));
+  const stackedBelow = evolution.rows.map((row) => visibleLayers.reduce((sum, layer) => sum + Math.min(layer.value(row), 0), 0));
   const minYear = Math.min(...years);
   const maxYear = Math.max(...years);
-  const maxVal = Math.max(...totals, 1);
+  const scale = niceTicks(Math.min(0, ...stackedBelow), Math.max(...stacked, ...visibleBands.map((b) => b.p90), ...past.map((h) => h.total), yMax, 1));
+  const maxVal = scale.max;
+  const minVal = scale.min;
 
   const x = (year) => {
     if (maxYear === minYear) return margin.left + innerW / 2;
     return margin.left + ((year - minYear) / (maxYear - minYear)) * innerW;
   };
-  const y = (val) => margin.top + innerH - (val / maxVal) * innerH;
+  const y = (val) => margin.top + innerH - ((val - minVal) / (maxVal - minVal)) * innerH;
 
   const make = (name, attrs) => {
     const el = document.createElementNS('http://www.w3.org/2000/svg', name);
@@ -243,18 +812,17 @@ function drawChart(evolution, svgId, legendId) {
   svg.appendChild(make('line', { x1: margin.left, y1: y(0), x2: margin.left + innerW, y2: y(0), stroke: '#e5e7eb' }));
   svg.appendChild(make('line', { x1: margin.left, y1: margin.top, x2: margin.left, y2: margin.top + innerH, stroke: '#e5e7eb' }));
 
-  // Y ticks (5)
-  for (let i = 0; i <= 5; i += 1) {
-    const v = (i / 5) * maxVal;
+  // Y ticks
+  scale.ticks.forEach((v) => {
     const yy = y(v);
     svg.appendChild(make('line', { x1: margin.left, y1: yy, x2: margin.left + innerW, y2: yy, stroke: '#f3f4f6' }));
     const label = make('text', { x: margin.left - 8, y: yy + 4, 'text-anchor': 'end', fill: '#6b7280', 'font-size': '11' });
     label.textContent = formatCurrency0(v);
     svg.appendChild(label);
-  }
+  });
 
   // X ticks (years)
-  years.forEach((yr) => {
+  labelledYears(years).forEach((yr) => {
     const xx = x(yr);
     svg.appendChild(make('line', { x1: xx, y1: margin.top + innerH, x2: xx, y2: margin.top + innerH + 6, stroke: '#e5e7eb' }));
     const label = make('text', { x: xx, y: margin.top + innerH + 20, 'text-anchor': 'middle', fill: '#6b7280', 'font-size': '11' });
@@ -262,50 +830,131 @@ function drawChart(evolution, svgId, legendId) {
     svg.appendChild(label);
   });
 
-  // Build stacked areas by energy order
-  const palette = {
-    electricite: '#60a5fa',
-    gaz: '#22c55e',
-    fioul: '#f59e0b',
-    granule: '#a78bfa',
-    plaquette: '#14b8a6',
-    propane: '#ef4444',
-  };
+  // Stacked areas, in layer order
   const stackBase = evolution.rows.map(() => 0);
-  energyKeys.forEach((key, idx) => {
-    const topPoints = [];
-    const bottomPoints = [];
-    evolution.rows.forEach((row, i) => {
-      const segment = row.details[idx].cost;
-      const yBottom = y(stackBase[i]);
-      const yTop = y(stackBase[i] + segment);
-      topPoints.push(`${x(row.year)} ${yTop}`);
-      bottomPoints.push(`${x(row.year)} ${yBottom}`);
-      stackBase[i] += segment;
-    });
-    const path = `M ${topPoints[0]} L ${topPoints.slice(1).join(' L ')} L ${bottomPoints.reverse().join(' L ')} Z`;
-    svg.appendChild(make('path', { d: path, fill: palette[key] || '#8884d8', 'fill-opacity': 0.5, stroke: palette[key] || '#8884d8', 'stroke-opacity': 0.8, 'stroke-width': 1 }));
-    if (legend) {
-      const item = document.createElement('div');
-      item.className = 'legend-item';
-      const sw = document.createElement('span');
-      sw.className = 'legend-swatch';
-      sw.style.background = palette[key] || '#8884d8';
-      const label = document.createElement('span');
-      label.textContent = ENERGY_LABELS[key] || key;
-      item.appendChild(sw);
-      item.appendChild(label);
-      legend.appendChild(item);
+  const stackBelow = evolution.rows.map(() => 0);
+  layers.forEach((layer) => {
+    if (!hidden(layer.key)) {
+      const topPoints = [];
+      const bottomPoints = [];
+      evolution.rows.forEach((row, i) => {
+        const segment = layer.value(row);
+        const stack = segment < 0 ? stackBelow : stackBase;
+        const yBottom = y(stack[i]);
+        const yTop = y(stack[i] + segment);
+        topPoints.push(`${x(row.year)} ${yTop}`);
+        bottomPoints.push(`${x(row.year)} ${yBottom}`);
+        stack[i] += segment;
+      });
+      const path = `M ${topPoints[0]} L ${topPoints.slice(1).join(' L ')} L ${bottomPoints.reverse().join(' L ')} Z`;
+      svg.appendChild(make('path', { d: path, fill: layer.color, 'fill-opacity': 0.5, stroke: layer.color, 'stroke-opacity': 0.8, 'stroke-width': 1 }));
     }
+    appendLegendItem(legend, { label: layer.label, color: layer.color, svgId, key: layer.key, redraw });
+  });
+
+  const pastAll = (history ?? []).filter((h) => h.year < evolution.rows[0]?.year);
+  if (past.length) {
+    const points = [...past, { year: evolution.rows[0].year, total: evolution.rows[0].total }];
+    const startX = x(evolution.rows[0].year);
+    svg.appendChild(make('line', { x1: startX, y1: margin.top, x2: startX, y2: margin.top + innerH, stroke: '#9ca3af', 'stroke-dasharray': '2,4' }));
+    svg.appendChild(make('path', {
+      d: `M ${points.map((p) => `${x(p.year)} ${y(p.total)}`).join(' L ')}`,
+      fill: 'none', stroke: '#6b7280', 'stroke-width': 2, 'stroke-dasharray': '6,4'
+    }));
+    past.forEach((p) => {
+      svg.appendChild(make('circle', { cx: x(p.year), cy: y(p.total), r: 4, fill: '#ffffff', stroke: '#6b7280', 'stroke-width': 2 }));
+    });
+  }
+  if (pastAll.length) {
+    appendLegendItem(legend, { label: 'Factures réelles (historique)', color: '#6b7280', dash: true, svgId, key: 'history', redraw });
+  }
+
+  if (visibleBands.length) drawUncertaintyBand(svg, make, visibleBands, x, y, '#1f2937');
+  if (bands) {
+    appendLegendItem(legend, { label: 'Intervalle P10–P90, médiane P50 en pointillés', color: '#1f2937', swatchOpacity: 0.3, svgId, key: 'bands', redraw });
+  }
+
+  // Tooltips: total of the year and the cost of each energy
+  attachChartTooltips(svg, make, {
+    years, x, margin, innerH, width,
+    describe: (index) => {
+      if (index < past.length) return `<strong>${past[index].year}</strong><br/>Factures réelles : ${formatCurrency0(past[index].total)}`;
+      const row = evolution.rows[index - past.length];
+      const band = bands?.[index - past.length];
+      return [
+        `<strong>${row.year}</strong> · ${formatCurrency0(ownershipCost(row))}`,
+        ...row.details.map((d, i) => `${escapeHtml(labels[i])} : ${formatCurrency0(d.variableCost)}`),
+        ...(row.fixedTotal > 0 ? [`Abonnements : ${formatCurrency0(row.fixedTotal)}`] : []),
+        ...(row.carbonIncluded && row.carbonCost > 0 ? [`Coût carbone : ${formatCurrency0(row.carbonCost)}`] : []),
+        ...(row.equipment ? [formatEquipmentYear(row.equipment)].filter(Boolean) : []),
+        ...(band ? [`P10–P90 : ${formatCurrency0(band.p10)} – ${formatCurrency0(band.p90)}`] : []),
+      ].join('<br/>');
+    },
   });
 }
 
-function drawCombinedChart(baseEvolution, scenarioEvolution) {
-  const svg = document.getElementById('combined-results-chart');
+// Small preview of the price index (base 100 at the start year) of every energy.
+function drawTrajectoryPreview(svgId, { startYear, years, escalationPctByEnergy, trajectoryByEnergy }) {
+  const svg = document.getElementById(svgId);
+  if (!svg) return;
+  while (svg.firstChild) svg.removeChild(svg.firstChild);
+
+  const width = 600;
+  const height = 180;
+  const margin = { top: 12, right: 90, bottom: 22, left: 40 };
+  const innerW = width - margin.left - margin.right;
+  const innerH = height - margin.top - margin.bottom;
+
+  const curves = Object.keys(escalationPctByEnergy).map((key) => {
+    const trajectory = trajectoryByEnergy[key];
+    const prices = priceSeries({ startYear, years, basePrice: 1, constantPct: escalationPctByEnergy[key], trajectory });
+    return { key, index: prices.map((p) => (p / prices[0]) * 100) };
+  });
+  const values = curves.flatMap((c) => c.index).filter(Number.isFinite);
+  const minVal = Math.min(100, ...values);
+  const maxVal = Math.max(100.1, ...values);
+
+  const x = (i) => margin.left + (years > 0 ? (i / years) * innerW : innerW / 2);
+  const y = (val) => margin.top + innerH - ((val - minVal) / (maxVal - minVal)) * innerH;
+
+  const make = (name, attrs) => {
+    const el = document.createElementNS('http://www.w3.org/2000/svg', name);
+    for (const k in attrs) el.setAttribute(k, attrs[k]);
+    return el;
+  };
+
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  [minVal, 100, maxVal].forEach((v) => {
+    svg.appendChild(make('line', { x1: margin.left, y1: y(v), x2: margin.left + innerW, y2: y(v), stroke: '#f3f4f6' }));
+    const label = make('text', { x: margin.left - 6, y: y(v) + 4, 'text-anchor': 'end', fill: '#6b7280', 'font-size': '10' });
+    label.textContent = formatNumber(v, 0);
+    svg.appendChild(label);
+  });
+  [0, years].forEach((i) => {
+    const label = make('text', { x: x(i), y: height - 6, 'text-anchor': 'middle', fill: '#6b7280', 'font-size': '10' });
+    label.textContent = String(startYear + i);
+    svg.appendChild(label);
+  });
+
+  curves.forEach(({ key, index }) => {
+    if (!index.every(Number.isFinite)) return;
+    const points = index.map((v, i) => `${x(i)} ${y(v)}`).join(' L ');
+    svg.appendChild(make('path', { d: `M ${points}`, fill: 'none', stroke: ENERGY_COLORS[key] || '#8884d8', 'stroke-width': 2 }));
+    const label = make('text', { x: x(years) + 6, y: y(index[index.length - 1]) + 4, fill: ENERGY_COLORS[key] || '#8884d8', 'font-size': '10' });
+    label.textContent = `${ENERGY_LABELS[key]} ${formatNumber(index[index.length - 1], 0)}`;
+    svg.appendChild(label);
+  });
+}
+
+function drawCombinedChart(baseEvolution, scenarios, monteCarlo = null) {
+  const svgId = 'combined-results-chart';
+  const svg = document.getElementById(svgId);
   if (!svg) return;
   while (svg.firstChild) svg.removeChild(svg.firstChild);
   const legend = document.getElementById('combined-chart-legend');
   if (legend) legend.innerHTML = '';
+  const redraw = () => drawCombinedChart(baseEvolution, scenarios, monteCarlo);
+  const hidden = (key) => isSeriesHidden(svgId, key);
 
   const width = 800;
   const height = 450;
@@ -313,13 +962,26 @@ function drawCombinedChart(baseEvolution, scenarioEvolution) {
   const innerW = width - margin.left - margin.right;
   const innerH = height - margin.top - margin.bottom;
 
-  // Combine years from both evolutions
+  const lines = [
+    { key: 'line-0', label: 'Scénario Base', evolution: baseEvolution, style: BASE_STYLE, bands: monteCarlo?.base.yearly },
+    ...scenarios.map((s, i) => ({
+      key: `line-${i + 1}`, label: s.name, evolution: s.evolution, investment: s.investment, style: scenarioStyle(i), bands: monteCarlo?.scenarios[i].yearly
+    })),
+  ];
+  const visibleLines = lines.filter((l) => !hidden(l.key));
+  const withInvestment = lines.filter((l) => l.investment);
+  const visibleFlows = withInvestment.filter((l) => !hidden(`flow-${l.key}`));
+  const showBands = monteCarlo && !hidden('bands');
+
   const years = baseEvolution.rows.map((r) => r.year);
-  const baseTotals = baseEvolution.rows.map((r) => r.total);
-  const scenarioTotals = scenarioEvolution.rows.map((r) => r.total);
+  const totals = visibleLines.flatMap((l) => l.evolution.rows.map((r) => r.total));
   
-  // Find max value for scaling
-  const maxVal = Math.max(...baseTotals, ...scenarioTotals, 1);
+  // Find value range for scaling; the cumulative cash flows can go below zero
+  const cumulativeFlows = visibleFlows.flatMap((l) => l.investment.flows.map((f) => f.cumulative));
+  const bandValues = showBands ? visibleLines.flatMap((l) => (l.bands ?? []).map((b) => b.p90)) : [];
+  const scale = niceTicks(Math.min(0, ...totals, ...cumulativeFlows), Math.max(...totals, ...cumulativeFlows, ...bandValues, 1));
+  const maxVal = scale.max;
+  const minVal = scale.min;
 
   const x = (year) => {
     const minYear = Math.min(...years);
@@ -328,7 +990,7 @@ function drawCombinedChart(baseEvolution, scenarioEvolution) {
     return margin.left + ((year - minYear) / (maxYear - minYear)) * innerW;
   };
   
-  const y = (val) => margin.top + innerH - (val / maxVal) * innerH;
+  const y = (val) => margin.top + innerH - ((val - minVal) / (maxVal - minVal)) * innerH;
 
   const make = (name, attrs) => {
     const el = document.createElementNS('http://www.w3.org/2000/svg', name);
@@ -342,18 +1004,17 @@ function drawCombinedChart(baseEvolution, scenarioEvolution) {
   svg.appendChild(make('line', { x1: margin.left, y1: y(0), x2: margin.left + innerW, y2: y(0), stroke: '#e5e7eb' }));
   svg.appendChild(make('line', { x1: margin.left, y1: margin.top, x2: margin.left, y2: margin.top + innerH, stroke: '#e5e7eb' }));
 
-  // Y ticks (5)
-  for (let i = 0; i <= 5; i += 1) {
-    const v = (i / 5) * maxVal;
+  // Y ticks
+  scale.ticks.forEach((v) => {
     const yy = y(v);
     svg.appendChild(make('line', { x1: margin.left, y1: yy, x2: margin.left + innerW, y2: yy, stroke: '#f3f4f6' }));
     const label = make('text', { x: margin.left - 8, y: yy + 4, 'text-anchor': 'end', fill: '#6b7280', 'font-size': '11' });
     label.textContent = formatCurrency0(v);
     svg.appendChild(label);
-  }
+  });
 
   // X ticks (years)
-  years.forEach((yr) => {
+  labelledYears(years).forEach((yr) => {
     const xx = x(yr);
     svg.appendChild(make('line', { x1: xx, y1: margin.top + innerH, x2: xx, y2: margin.top + innerH + 6, stroke: '#e5e7eb' }));
     const label = make('text', { x: xx, y: margin.top + innerH + 20, 'text-anchor': 'middle', fill: '#6b7280', 'font-size': '11' });
@@ -361,274 +1022,2062 @@ function drawCombinedChart(baseEvolution, scenarioEvolution) {
     svg.appendChild(label);
   });
 
-  // Draw base scenario line
-  const basePoints = baseEvolution.rows.map((row, i) => `${x(row.year)} ${y(row.total)}`).join(' L ');
-  const basePath = `M ${basePoints}`;
-  svg.appendChild(make('path', { 
-    d: basePath, 
-    fill: 'none', 
-    stroke: '#3b82f6', 
-    'stroke-width': 3,
-    'stroke-linecap': 'round',
-    'stroke-linejoin': 'round'
-  }));
-
-  // Draw scenario line
-  const scenarioPoints = scenarioEvolution.rows.map((row, i) => `${x(row.year)} ${y(row.total)}`).join(' L ');
-  const scenarioPath = `M ${scenarioPoints}`;
-  svg.appendChild(make('path', { 
-    d: scenarioPath, 
-    fill: 'none', 
-    stroke: '#8b5cf6', 
-    'stroke-width': 3,
-    'stroke-linecap': 'round',
-    'stroke-linejoin': 'round',
-    'stroke-dasharray': '5,5'
-  }));
+  // P10–P90 band of each scenario in probabilistic mode
+  if (showBands) {
+    visibleLines.forEach(({ bands, style }) => {
+      if (bands) drawUncertaintyBand(svg, make, bands, x, y, style.color);
+    });
+  }
 
-  // Add data points for base scenario
-  baseEvolution.rows.forEach((row) => {
-    const circle = make('circle', {
-      cx: x(row.year),
-      cy: y(row.total),
-      r: 4,
-      fill: '#3b82f6',
-      stroke: '#ffffff',
-      'stroke-width': 2
+  // With a single alternative, shade the difference between the two lines
+  if (scenarios.length === 1 && visibleLines.length === 2) {
+    const scenarioEvolution = scenarios[0].evolution;
+    baseEvolution.rows.forEach((baseRow, i) => {
+      const scenarioRow = scenarioEvolution.rows[i];
+      if (scenarioRow && baseRow.total !== scenarioRow.total) {
+        const xPos = x(baseRow.year);
+        const isEconomy = baseRow.total > scenarioRow.total;
+        svg.appendChild(make('path', {
+          d: `M ${xPos} ${y(baseRow.total)} L ${xPos} ${y(scenarioRow.total)}`,
+          stroke: isEconomy ? '#10b981' : '#ef4444',
+          'stroke-width': 2,
+          'stroke-opacity': 0.3
+        }));
+      }
     });
-    svg.appendChild(circle);
-  });
-
-  // Add data points for scenario
-  scenarioEvolution.rows.forEach((row) => {
-    const circle = make('circle', {
-      cx: x(row.year),
-      cy: y(row.total),
-      r: 4,
-      fill: '#8b5cf6',
-      stroke: '#ffffff',
-      'stroke-width': 2
+  }
+
+  // One line per scenario, with its data points
+  visibleLines.forEach(({ evolution, style }) => {
+    const points = evolution.rows.map((row) => `${x(row.year)} ${y(row.total)}`).join(' L ');
+    const attrs = {
+      d: `M ${points}`,
+      fill: 'none',
+      stroke: style.color,
+      'stroke-width': 3,
+      'stroke-linecap': 'round',
+      'stroke-linejoin': 'round'
+    };
+    if (style.dash) attrs['stroke-dasharray'] = style.dash;
+    svg.appendChild(make('path', attrs));
+
+    evolution.rows.forEach((row) => {
+      svg.appendChild(make('circle', {
+        cx: x(row.year),
+        cy: y(row.total),
+        r: 4,
+        fill: style.color,
+        stroke: '#ffffff',
+        'stroke-width': 2
+      }));
     });
-    svg.appendChild(circle);
   });
 
-  // Add legend
-  if (legend) {
-    const scenarios = [
-      { label: 'Scénario Base', color: '#3b82f6', dash: false },
-      { label: 'Scénario Alternatif', color: '#8b5cf6', dash: true }
-    ];
-    
-    scenarios.forEach(scenario => {
-      const item = document.createElement('div');
-      item.className = 'legend-item';
-      
-      const sw = document.createElement('span');
-      sw.className = 'legend-swatch';
-      sw.style.background = scenario.color;
-      if (scenario.dash) {
-        sw.style.background = 'repeating-linear-gradient(90deg, ' + scenario.color + ', ' + scenario.color + ' 3px, transparent 3px, transparent 6px)';
-      }
-      
-      const label = document.createElement('span');
-      label.textContent = scenario.label;
-      label.style.fontWeight = '500';
-      
-      item.appendChild(sw);
-      item.appendChild(label);
-      legend.appendChild(item);
+  // Cumulative cash flow of each investment, with its payback year marked
+  visibleFlows.forEach(({ label: name, investment, style }, index) => {
+    const flowPoints = investment.flows.map((f) => `${x(f.year)} ${y(f.cumulative)}`).join(' L ');
+    svg.appendChild(make('path', {
+      d: `M ${flowPoints}`,
+      fill: 'none',
+      stroke: style.color,
+      'stroke-width': 1.5,
+      'stroke-opacity': 0.7,
+      'stroke-linejoin': 'round'
+    }));
+    investment.flows.forEach((f) => {
+      svg.appendChild(make('circle', { cx: x(f.year), cy: y(f.cumulative), r: 3, fill: f.cumulative >= 0 ? '#10b981' : '#ef4444' }));
     });
-  }
 
-  // Add difference shading between lines
-  baseEvolution.rows.forEach((baseRow, i) => {
-    const scenarioRow = scenarioEvolution.rows[i];
-    if (scenarioRow && baseRow.total !== scenarioRow.total) {
-      const xPos = x(baseRow.year);
-      const yBase = y(baseRow.total);
-      const yScenario = y(scenarioRow.total);
-      
-      const isEconomy = baseRow.total > scenarioRow.total;
-      const path = `M ${xPos} ${yBase} L ${xPos} ${yScenario}`;
-      
-      svg.appendChild(make('path', {
-        d: path,
-        stroke: isEconomy ? '#10b981' : '#ef4444',
-        'stroke-width': 2,
-        'stroke-opacity': 0.3
+    if (investment.paybackYear !== null) {
+      const xx = x(investment.paybackYear);
+      svg.appendChild(make('line', {
+        x1: xx, y1: margin.top, x2: xx, y2: margin.top + innerH,
+        stroke: style.color, 'stroke-width': 1.5, 'stroke-dasharray': '4,4'
       }));
+      const label = make('text', { x: xx + 4, y: margin.top + 12 + index * 14, fill: style.color, 'font-size': '12', 'font-weight': '600' });
+      label.textContent = `Retour ${name} : ${investment.paybackYear}`;
+      svg.appendChild(label);
     }
   });
-}
 
-// ... (le code précédent reste identique)
+  // Legend, each entry toggling its series
+  lines.forEach((l) => appendLegendItem(legend, { label: l.label, color: l.style.color, dash: Boolean(l.style.dash), svgId, key: l.key, redraw }));
+  withInvestment.forEach((l) => appendLegendItem(legend, { label: `Trésorerie cumulée – ${l.label}`, color: l.style.color, svgId, key: `flow-${l.key}`, redraw }));
+  if (monteCarlo) {
+    appendLegendItem(legend, { label: 'Intervalle P10–P90 (ombré) et médiane P50 (pointillés)', color: '#9ca3af', dash: true, svgId, key: 'bands', redraw });
+  }
 
-document.addEventListener('DOMContentLoaded', () => {
-  const calculateAllBtn = document.getElementById('calculate-all');
-  const exportBtn = document.getElementById('export-csv');
-  const enableScenarioCheckbox = document.getElementById('enable-scenario');
+  // Tooltips: total of each scenario for the year and its saving against the base
+  attachChartTooltips(svg, make, {
+    years, x, margin, innerH, width,
+    describe: (index) => {
+      const baseTotal = baseEvolution.rows[index].total;
+      return [
+        `<strong>${years[index]}</strong>`,
+        ...lines.map((l, i) => {
+          const total = l.evolution.rows[index]?.total ?? 0;
+          const saving = baseTotal - total;
+          const savingText = i === 0 ? '' : ` (${saving >= 0 ? 'économie' : 'surcoût'} ${formatCurrency0(Math.abs(saving))})`;
+          return `<span style="color:${l.style.color}">●</span> ${escapeHtml(l.label)} : ${formatCurrency0(total)}${savingText}`;
+        }),
+      ].join('<br/>');
+    },
+  });
+}
 
-  const rowsContainer = document.getElementById('rows');
-  const scenarioRowsContainer = document.getElementById('scenario-rows');
-  const scenarioContent = document.getElementById('scenario-content');
-  const addRowBtn = document.getElementById('add-row');
-  const addScenarioRowBtn = document.getElementById('add-scenario-row');
+// Yearly emissions (tCO₂e) of each scenario, `lines` being [{ label, evolution, style }].
+function drawEmissionsChart(svgId, legendId, lines) {
+  const svg = document.getElementById(svgId);
+  if (!svg) return;
+  while (svg.firstChild) svg.removeChild(svg.firstChild);
+  const legend = document.getElementById(legendId);
+  if (legend) legend.innerHTML = '';
 
-  function makeRow(initial = { kwh: '', energy: 'electricite', unitPrice: '' }, container) {
-    const div = document.createElement('div');
-    div.className = 'row';
-    div.innerHTML = `
-      <input type="number" min="0" step="1" placeholder="kWh" class="kwh" value="${initial.kwh}">
-      <select class="energy">
-        <option value="electricite">Électricité</option>
-        <option value="gaz">Gaz naturel</option>
-        <option value="fioul">Fioul</option>
-        <option value="granule">Granulé</option>
-        <option value="plaquette">Plaquette</option>
-        <option value="propane">Propane</option>
-      </select>
-      <input type="number" min="0" step="0.0001" placeholder="€/kWh" class="unitPrice" value="${initial.unitPrice}">
-      <button type="button" class="remove">Supprimer</button>
-    `;
-    div.querySelector('.energy').value = initial.energy;
-    div.querySelector('.remove').addEventListener('click', () => div.remove());
-    container.appendChild(div);
-  }
+  const width = 800;
+  const height = 260;
+  const margin = { top: 20, right: 20, bottom: 30, left: 60 };
+  const innerW = width - margin.left - margin.right;
+  const innerH = height - margin.top - margin.bottom;
 
-  addRowBtn.addEventListener('click', () => makeRow({}, rowsContainer));
-  addScenarioRowBtn.addEventListener('click', () => makeRow({}, scenarioRowsContainer));
-  
-  // Seed with one empty row in base section
-  makeRow({}, rowsContainer);
+  const years = lines[0].evolution.rows.map((r) => r.year);
+  const minYear = Math.min(...years);
+  const maxYear = Math.max(...years);
+  const scale = niceTicks(0, Math.max(...lines.flatMap((l) => l.evolution.rows.map((r) => r.emissionsT)), 0.001), 4);
+  const maxVal = scale.max;
 
-  // Toggle scenario section
-  enableScenarioCheckbox.addEventListener('change', (e) => {
-    scenarioContent.hidden = !e.target.checked;
-    if (e.target.checked && scenarioRowsContainer.children.length === 0) {
-      makeRow({}, scenarioRowsContainer);
-    }
-  });
+  const x = (year) => {
+    if (maxYear === minYear) return margin.left + innerW / 2;
+    return margin.left + ((year - minYear) / (maxYear - minYear)) * innerW;
+  };
+  const y = (val) => margin.top + innerH - (val / maxVal) * innerH;
 
-  // Prefill per-type inflation inputs with presets
-  const prefillIds = {
-    electricite: 'esc-electricite',
-    gaz: 'esc-gaz',
-    fioul: 'esc-fioul',
-    granule: 'esc-granule',
-    plaquette: 'esc-plaquette',
-    propane: 'esc-propane',
+  const make = (name, attrs) => {
+    const el = document.createElementNS('http://www.w3.org/2000/svg', name);
+    for (const k in attrs) el.setAttribute(k, attrs[k]);
+    return el;
   };
 
-  for (const key in prefillIds) {
-    const el = document.getElementById(prefillIds[key]);
-    if (el) el.value = String(ENERGY_ESCALATION_PRESETS[key]);
-  }
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
 
-  function calculateBaseScenario() {
-    const rows = Array.from(rowsContainer.querySelectorAll('.row')).map((div) => {
-      const kwh = parseNumber(div.querySelector('.kwh').value);
-      const energy = div.querySelector('.energy').value;
-      const unitPrice = parseNumber(div.querySelector('.unitPrice').value);
-      return { kwh, energy, unitPrice };
-    }).filter((r) => Number.isFinite(r.kwh) && r.kwh > 0 && Number.isFinite(r.unitPrice) && r.unitPrice >= 0);
+  scale.ticks.forEach((v) => {
+    svg.appendChild(make('line', { x1: margin.left, y1: y(v), x2: margin.left + innerW, y2: y(v), stroke: '#f3f4f6' }));
+    const label = make('text', { x: margin.left - 8, y: y(v) + 4, 'text-anchor': 'end', fill: '#6b7280', 'font-size': '11' });
+    label.textContent = `${formatNumber(v, 3)} t`;
+    svg.appendChild(label);
+  });
+  labelledYears(years).forEach((yr) => {
+    const label = make('text', { x: x(yr), y: margin.top + innerH + 20, 'text-anchor': 'middle', fill: '#6b7280', 'font-size': '11' });
+    label.textContent = String(yr);
+    svg.appendChild(label);
+  });
 
-    const startYear = Number(document.getElementById('start-year').value);
-    const years = Number(document.getElementById('years').value);
-    
-    const perTypeInputs = {
-      electricite: document.getElementById('esc-electricite').value,
-      gaz: document.getElementById('esc-gaz').value,
-      fioul: document.getElementById('esc-fioul').value,
-      granule: document.getElementById('esc-granule').value,
-      plaquette: document.getElementById('esc-plaquette').value,
-      propane: document.getElementById('esc-propane').value,
+  lines.forEach(({ label: name, evolution, style }) => {
+    const attrs = {
+      d: `M ${evolution.rows.map((row) => `${x(row.year)} ${y(row.emissionsT)}`).join(' L ')}`,
+      fill: 'none',
+      stroke: style.color,
+      'stroke-width': 2.5,
+      'stroke-linejoin': 'round'
     };
-    
-    const perEnergyEsc = Object.fromEntries(Object.keys(ENERGY_ESCALATION_PRESETS).map((key) => {
-      const perVal = perTypeInputs[key];
-      const val = perVal !== '' ? Number(perVal) : ENERGY_ESCALATION_PRESETS[key];
-      return [key, val];
+    if (style.dash) attrs['stroke-dasharray'] = style.dash;
+    svg.appendChild(make('path', attrs));
+    appendLegendItem(legend, { label: `${name} (tCO₂e / an)`, color: style.color, dash: Boolean(style.dash) });
+  });
+}
+
+// Tornado chart of a sensitivity analysis (see sensitivityAnalysis): one bar per input, from the measure
+// with the low value to the measure with the high value, drawn around the reference.
+const TORNADO_COLORS = { low: '#0ea5e9', high: '#f97316' };
+
+function drawTornadoChart(svgId, legendId, analysis) {
+  const svg = document.getElementById(svgId);
+  if (!svg) return;
+  while (svg.firstChild) svg.removeChild(svg.firstChild);
+  const legend = document.getElementById(legendId);
+  if (legend) legend.innerHTML = '';
+
+  const barH = 24;
+  const gap = 12;
+  const width = 800;
+  const margin = { top: 30, right: 80, bottom: 30, left: 220 };
+  const height = margin.top + margin.bottom + analysis.bars.length * (barH + gap);
+  const innerW = width - margin.left - margin.right;
+  const { reference, bars } = analysis;
+  const values = [reference, ...bars.flatMap((b) => [b.low, b.high])];
+  const scale = niceTicks(Math.min(...values), Math.max(...values), 5);
+  const x = (v) => margin.left + ((v - scale.min) / (scale.max - scale.min)) * innerW;
+
+  const make = (name, attrs) => {
+    const el = document.createElementNS('http://www.w3.org/2000/svg', name);
+    for (const k in attrs) el.setAttribute(k, attrs[k]);
+    return el;
+  };
+
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+  scale.ticks.forEach((v) => {
+    svg.appendChild(make('line', { x1: x(v), y1: margin.top, x2: x(v), y2: height - margin.bottom, stroke: '#f3f4f6' }));
+    const label = make('text', { x: x(v), y: height - margin.bottom + 18, 'text-anchor': 'middle', fill: '#6b7280', 'font-size': '11' });
+    label.textContent = formatCurrency0(v);
+    svg.appendChild(label);
+  });
+
+  bars.forEach((bar, i) => {
+    const top = margin.top + i * (barH + gap) + gap / 2;
+    const name = make('text', { x: margin.left - 10, y: top + barH / 2 + 4, 'text-anchor': 'end', fill: '#374151', 'font-size': '12' });
+    name.textContent = bar.label;
+    svg.appendChild(name);
+    ['low', 'high'].forEach((side) => {
+      const value = bar[side];
+      const left = Math.min(x(reference), x(value));
+      const rect = make('rect', { x: left, y: top, width: Math.max(Math.abs(x(value) - x(reference)), 1), height: barH, fill: TORNADO_COLORS[side] });
+      const title = make('title', {});
+      const diff = value - reference;
+      title.textContent = `${bar.label} ${bar[`${side}Label`]} : ${formatCurrency0(value)} (${diff >= 0 ? '+' : ''}${formatCurrency0(diff)})`;
+      rect.appendChild(title);
+      svg.appendChild(rect);
+      const toRight = value >= reference;
+      const label = make('text', {
+        x: x(value) + (toRight ? 4 : -4), y: top + barH / 2 + 4, 'text-anchor': toRight ? 'start' : 'end', fill: '#6b7280', 'font-size': '11'
+      });
+      label.textContent = bar[`${side}Label`];
+      svg.appendChild(label);
+    });
+  });
+
+  svg.appendChild(make('line', {
+    x1: x(reference), y1: margin.top - 6, x2: x(reference), y2: height - margin.bottom, stroke: '#111827', 'stroke-dasharray': '4,3'
+  }));
+  const referenceLabel = make('text', { x: x(reference), y: margin.top - 12, 'text-anchor': 'middle', fill: '#111827', 'font-size': '12' });
+  referenceLabel.textContent = `Référence ${formatCurrency0(reference)}`;
+  svg.appendChild(referenceLabel);
+
+  appendLegendItem(legend, { label: 'Hypothèse basse', color: TORNADO_COLORS.low });
+  appendLegendItem(legend, { label: 'Hypothèse haute', color: TORNADO_COLORS.high });
+}
+
+// Stacked monthly bars of a year of a monthly evolution: the cost of each energy (abonnement included),
+// the carbon cost when it is part of the totals, and the direct debit as a dashed line.
+function drawMonthlyChart(svgId, legendId, row, labels, debit) {
+  const svg = document.getElementById(svgId);
+  if (!svg) return;
+  while (svg.firstChild) svg.removeChild(svg.firstChild);
+  const legend = document.getElementById(legendId);
+  if (legend) legend.innerHTML = '';
+  const redraw = () => drawMonthlyChart(svgId, legendId, row, labels, debit);
+  const hidden = (key) => isSeriesHidden(svgId, key);
+
+  const width = 800;
+  const height = 360;
+  const margin = { top: 20, right: 20, bottom: 30, left: 60 };
+  const innerW = width - margin.left - margin.right;
+  const innerH = height - margin.top - margin.bottom;
+
+  const layers = row.details.map((d, idx) => ({
+    key: `energy-${idx}`, label: labels[idx], color: detailEnergyColor(d), value: (month) => month.details[idx].cost,
+  }));
+  if (row.carbonIncluded && row.carbonCost > 0) {
+    layers.push({ key: 'carbon', label: 'Coût carbone', color: '#374151', value: (month) => month.carbonCost });
+  }
+  const visibleLayers = layers.filter((layer) => !hidden(layer.key));
+  const above = row.months.map((month) => visibleLayers.reduce((sum, layer) => sum + Math.max(layer.value(month), 0), 0));
+  const below = row.months.map((month) => visibleLayers.reduce((sum, layer) => sum + Math.min(layer.value(month), 0), 0));
+  const scale = niceTicks(Math.min(0, ...below), Math.max(...above, hidden('debit') ? 0 : debit.amount, 1));
+  const y = (val) => margin.top + innerH - ((val - scale.min) / (scale.max - scale.min)) * innerH;
+  const slot = innerW / 12;
+  const barW = slot * 0.7;
+
+  const make = (name, attrs) => {
+    const el = document.createElementNS('http://www.w3.org/2000/svg', name);
+    for (const k in attrs) el.setAttribute(k, attrs[k]);
+    return el;
+  };
+
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  scale.ticks.forEach((v) => {
+    svg.appendChild(make('line', { x1: margin.left, y1: y(v), x2: margin.left + innerW, y2: y(v), stroke: '#f3f4f6' }));
+    const label = make('text', { x: margin.left - 8, y: y(v) + 4, 'text-anchor': 'end', fill: '#6b7280', 'font-size': '11' });
+    label.textContent = formatCurrency0(v);
+    svg.appendChild(label);
+  });
+  svg.appendChild(make('line', { x1: margin.left, y1: y(0), x2: margin.left + innerW, y2: y(0), stroke: '#e5e7eb' }));
+
+  row.months.forEach((month, m) => {
+    const left = margin.left + m * slot + (slot - barW) / 2;
+    let top = 0;
+    let bottom = 0;
+    visibleLayers.forEach((layer) => {
+      const value = layer.value(month);
+      const start = value < 0 ? bottom : top;
+      const rect = make('rect', { x: left, y: y(Math.max(start, start + value)), width: barW, height: Math.abs(y(start) - y(start + value)), fill: layer.color, 'fill-opacity': 0.7 });
+      const title = make('title', {});
+      title.textContent = `${month.label} · ${layer.label} : ${formatCurrency0(value)}`;
+      rect.appendChild(title);
+      svg.appendChild(rect);
+      if (value < 0) bottom += value;
+      else top += value;
+    });
+    const label = make('text', { x: left + barW / 2, y: margin.top + innerH + 20, 'text-anchor': 'middle', fill: '#6b7280', 'font-size': '11' });
+    label.textContent = month.label.slice(0, 4);
+    svg.appendChild(label);
+  });
+
+  if (!hidden('debit')) {
+    svg.appendChild(make('line', {
+      x1: margin.left, y1: y(debit.amount), x2: margin.left + innerW, y2: y(debit.amount), stroke: '#111827', 'stroke-width': 2, 'stroke-dasharray': '6,4',
+    }));
+  }
+  layers.forEach((layer) => appendLegendItem(legend, { label: layer.label, color: layer.color, svgId, key: layer.key, redraw }));
+  appendLegendItem(legend, { label: `Mensualité ${formatCurrency0(debit.amount)}`, color: '#111827', dash: true, svgId, key: 'debit', redraw });
+}
+
+// Portfolio chart: base cost of each site stacked by year, and the total with the scenarios as a dashed line
+function drawPortfolioChart(svgId, legendId, portfolio) {
+  const svg = document.getElementById(svgId);
+  if (!svg) return;
+  while (svg.firstChild) svg.removeChild(svg.firstChild);
+  const legend = document.getElementById(legendId);
+  if (legend) legend.innerHTML = '';
+  const redraw = () => drawPortfolioChart(svgId, legendId, portfolio);
+  const hidden = (key) => isSeriesHidden(svgId, key);
+
+  const width = 800;
+  const height = 400;
+  const margin = { top: 20, right: 20, bottom: 30, left: 60 };
+  const innerW = width - margin.left - margin.right;
+  const innerH = height - margin.top - margin.bottom;
+
+  const { rows, sites } = portfolio;
+  const layers = sites.map((site, i) => ({ key: `site-${i}`, label: site.name, color: scenarioStyle(i).color, value: (row) => row.bySite[i] }));
+  const visibleLayers = layers.filter((layer) => !hidden(layer.key));
+  const years = rows.map((row) => row.year);
+  const stacked = rows.map((row) => visibleLayers.reduce((sum, layer) => sum + layer.value(row), 0));
+  const scale = niceTicks(0, Math.max(...stacked, ...(hidden('scenarios') ? [] : rows.map((row) => row.withScenarios)), 1));
+  const minYear = Math.min(...years);
+  const maxYear = Math.max(...years);
+  const x = (year) => (maxYear === minYear ? margin.left + innerW / 2 : margin.left + ((year - minYear) / (maxYear - minYear)) * innerW);
+  const y = (val) => margin.top + innerH - ((val - scale.min) / (scale.max - scale.min)) * innerH;
+
+  const make = (name, attrs) => {
+    const el = document.createElementNS('http://www.w3.org/2000/svg', name);
+    for (const k in attrs) el.setAttribute(k, attrs[k]);
+    return el;
+  };
+
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  svg.appendChild(make('line', { x1: margin.left, y1: y(0), x2: margin.left + innerW, y2: y(0), stroke: '#e5e7eb' }));
+  scale.ticks.forEach((v) => {
+    svg.appendChild(make('line', { x1: margin.left, y1: y(v), x2: margin.left + innerW, y2: y(v), stroke: '#f3f4f6' }));
+    const label = make('text', { x: margin.left - 8, y: y(v) + 4, 'text-anchor': 'end', fill: '#6b7280', 'font-size': '11' });
+    label.textContent = formatCurrency0(v);
+    svg.appendChild(label);
+  });
+  labelledYears(years).forEach((yr) => {
+    const label = make('text', { x: x(yr), y: margin.top + innerH + 20, 'text-anchor': 'middle', fill: '#6b7280', 'font-size': '11' });
+    label.textContent = String(yr);
+    svg.appendChild(label);
+  });
+
+  const stack = rows.map(() => 0);
+  layers.forEach((layer) => {
+    if (!hidden(layer.key)) {
+      const topPoints = [];
+      const bottomPoints = [];
+      rows.forEach((row, i) => {
+        bottomPoints.push(`${x(row.year)} ${y(stack[i])}`);
+        stack[i] += layer.value(row);
+        topPoints.push(`${x(row.year)} ${y(stack[i])}`);
+      });
+      const path = `M ${topPoints[0]} L ${topPoints.slice(1).join(' L ')} L ${bottomPoints.reverse().join(' L ')} Z`;
+      svg.appendChild(make('path', { d: path, fill: layer.color, 'fill-opacity': 0.5, stroke: layer.color, 'stroke-opacity': 0.8, 'stroke-width': 1 }));
+    }
+    appendLegendItem(legend, { label: layer.label, color: layer.color, svgId, key: layer.key, redraw });
+  });
+
+  if (!hidden('scenarios')) {
+    svg.appendChild(make('path', {
+      d: `M ${rows.map((row) => `${x(row.year)} ${y(row.withScenarios)}`).join(' L ')}`,
+      fill: 'none', stroke: '#111827', 'stroke-width': 2, 'stroke-dasharray': '6,4',
     }));
+  }
+  appendLegendItem(legend, { label: 'Total avec les scénarios', color: '#111827', dash: true, svgId, key: 'scenarios', redraw });
+
+  attachChartTooltips(svg, make, {
+    years, x, margin, innerH, width,
+    describe: (index) => {
+      const row = rows[index];
+      return [
+        `<strong>${row.year}</strong> · ${formatCurrency0(row.base)}`,
+        ...sites.map((site, i) => `${escapeHtml(site.name)} : ${formatCurrency0(row.bySite[i])}`),
+        `Avec les scénarios : ${formatCurrency0(row.withScenarios)}`,
+      ].join('<br/>');
+    },
+  });
+}
+
+// Printable report: inputs are read back from a project state (see collectState), the results section on
+// screen is cloned below them. Everything is rendered locally, so printing to PDF works offline.
+function describeTrajectory(trajectory, constantPct) {
+  const rate = `${constantPct >= 0 ? '+' : ''}${formatPercent(constantPct)}/an`;
+  if (trajectory?.mode === 'segments') {
+    const periods = trajectory.segments.map((s) => `${s.from}${s.to === Infinity ? '+' : (s.to !== s.from ? `–${s.to}` : '')} : ${formatPercent(s.pct)}`);
+    return `${periods.join(' ; ')} (${rate} hors de ces périodes)`;
+  }
+  if (trajectory?.mode === 'table') {
+    const prices = Object.entries(trajectory.prices).map(([year, price]) => `${year} : ${formatNumber(price)}`);
+    return `prix ${prices.join(' ; ')}, appliqués en proportion au prix de chaque ligne (${rate} entre et après ces années)`;
+  }
+  return rate;
+}
+
+// Table of the consumption rows of a state, as entered (native units, tariff periods, options)
+function reportRowsTable(rows) {
+  const number = (value, digits = 4) => (value === null || value === undefined ? '—' : formatNumber(value, digits));
+  const lines = rows.map((row) => {
+    const unit = findUnit(row.energy, row.unit);
+    const price = row.periods?.length && row.tariff !== 'base'
+      ? `${ELECTRICITY_TARIFFS[row.tariff].label} : ${row.periods.map((p) => `${tariffPeriod(row.tariff, p.id)?.label ?? p.id} ${number(p.share, 1)} % à ${number(p.unitPrice)} €`).join(', ')}`
+      : `${number(row.unitPrice)} €/${unit.label}`;
+    const modifiers = [
+      row.consumption?.steps ? `évolutions ${row.consumption.steps}` : null,
+      row.consumption?.drift ? `dérive ${formatPercent(row.consumption.drift)}/an` : null,
+      row.consumption?.heatingShare ? 'correction climatique' : null,
+    ].filter(Boolean);
+    return `
+      <tr>
+        <td>${ENERGY_LABELS[row.energy] ?? escapeHtml(row.energy)}</td>
+        <td>${number(row.quantity, 2)} ${unit.label}</td>
+        <td>${price}</td>
+        <td>${row.fixedCost ? `${formatCurrency0(row.fixedCost)}/an${row.fixedEscalation !== null && row.fixedEscalation !== undefined ? ` (${formatPercent(row.fixedEscalation)}/an)` : ''}` : '—'}</td>
+        <td>${modifiers.length ? escapeHtml(modifiers.join(' ; ')) : '—'}</td>
+      </tr>
+    `;
+  });
+  return `
+    <table>
+      <thead><tr><th>Énergie</th><th>Quantité</th><th>Prix</th><th>Abonnement</th><th>Consommation</th></tr></thead>
+      <tbody>${lines.join('')}</tbody>
+    </table>
+  `;
+}
+
+// ... (le code précédent reste identique)
+
+document.addEventListener('DOMContentLoaded', () => {
+  const calculateAllBtn = document.getElementById('calculate-all');
+  const exportBtn = document.getElementById('export-csv');
+  const exportJsonBtn = document.getElementById('export-json');
+  const reportBtn = document.getElementById('generate-report');
+  const enableScenarioCheckbox = document.getElementById('enable-scenario');
+
+  // Energies of this browser's library, until a project brings its own
+  setEnergyLibrary(readEnergyLibrary());
+
+  const rowsContainer = document.getElementById('rows');
+  const scenariosContainer = document.getElementById('scenarios');
+  const scenarioContent = document.getElementById('scenario-content');
+  const addRowBtn = document.getElementById('add-row');
+  const addScenarioBtn = document.getElementById('add-scenario');
+
+  // Consumption modifiers of a row (in its options) or of a whole scenario
+  const consumptionModifiersMarkup = `
+    <div class="consumption-modifiers row-options-grid">
+      <label>
+        Évolutions datées de la consommation (année: %)
+        <input type="text" class="steps" placeholder="ex: 2027: -25 (isolation des combles)">
+      </label>
+      <label>
+        Dérive annuelle de la consommation (%/an)
+        <input type="number" min="-50" max="50" step="0.1" class="drift" placeholder="ex: 1 (perte de rendement)">
+      </label>
+      <label>
+        Part chauffage de la consommation (%)
+        <input type="number" min="0" max="100" step="1" class="heatingShare" placeholder="100">
+      </label>
+      <label>
+        DJU de référence (année normale)
+        <input type="number" min="0" step="1" class="djuRef" placeholder="ex: 2200">
+      </label>
+      <label>
+        DJU de l'année facturée
+        <input type="number" min="0" step="1" class="djuBill" placeholder="ex: 1900">
+      </label>
+    </div>
+  `;
 
-    if (!rows.length) {
-      alert('Veuillez ajouter au moins une ligne valide (kWh et €/kWh) dans la consommation de base.');
-      return null;
+  function fillModifiers(element, values = {}) {
+    element.querySelector('.steps').value = values.steps ?? '';
+    CONSUMPTION_NUMERIC_FIELDS.forEach((field) => {
+      element.querySelector(`.${field}`).value = values[field] ?? '';
+    });
+  }
+
+  const numberOrNull = (input) => (input.value === '' ? null : parseNumber(input.value));
+
+  // Consumption modifiers entered in an element, as saved in a project (see modifiersFromState)
+  function collectModifiers(element) {
+    return {
+      steps: element.querySelector('.steps').value,
+      ...Object.fromEntries(CONSUMPTION_NUMERIC_FIELDS.map((field) => [field, numberOrNull(element.querySelector(`.${field}`))])),
+    };
+  }
+
+  // Heating system of a set, derived from the useful heat demand of the project (see heatingFromState)
+  const heatingMarkup = `
+    <div class="heating grid mt">
+      <label>
+        Système de chauffage
+        <select class="heating-system">
+          ${Object.entries(HEATING_SYSTEMS).map(([id, label]) => `<option value="${id}">${label}</option>`).join('')}
+        </select>
+      </label>
+      <label class="heating-boiler">
+        Énergie de la chaudière
+        <select class="heating-energy"></select>
+      </label>
+      <label class="heating-boiler">
+        Rendement de la chaudière (%)
+        <input class="heating-efficiency" type="number" min="1" max="120" step="1" placeholder="${HEATING_DEFAULTS.efficiency}" />
+      </label>
+      <label class="heating-boiler">
+        Prix de l'énergie de la chaudière (€/kWh)
+        <input class="heating-fuel-price" type="number" min="0" step="0.0001" placeholder="ex: 0,12" />
+      </label>
+      <label class="heating-pump">
+        SCOP de la pompe à chaleur
+        <input class="heating-scop" type="number" min="0.1" max="10" step="0.1" placeholder="${HEATING_DEFAULTS.scop}" />
+      </label>
+      <label class="heating-pump">
+        Prix de l'électricité de la pompe à chaleur (€/kWh)
+        <input class="heating-electricity-price" type="number" min="0" step="0.0001" placeholder="ex: 0,25" />
+      </label>
+      <label class="heating-hybrid">
+        Part du besoin couverte par la pompe à chaleur (%)
+        <input class="heating-share" type="number" min="0" max="100" step="1" placeholder="${HEATING_DEFAULTS.heatPumpShare}" />
+      </label>
+    </div>
+  `;
+
+  function updateHeatingInputs(element) {
+    const system = element.querySelector('.heating-system').value;
+    const shown = { 'heating-boiler': ['boiler', 'hybrid'], 'heating-pump': ['heatpump', 'hybrid'], 'heating-hybrid': ['hybrid'] };
+    for (const className in shown) {
+      element.querySelectorAll(`.${className}`).forEach((label) => { label.hidden = !shown[className].includes(system); });
     }
-    if (!Number.isFinite(years) || years < 0 || years > 50) {
-      alert('Nombre d\'années invalide.');
-      return null;
+  }
+
+  // The boiler energies follow the library, they are listed again on each fill
+  function fillHeating(element, values = {}) {
+    const energy = element.querySelector('.heating-energy');
+    energy.innerHTML = Object.entries(ENERGY_LABELS).map(([id, label]) => `<option value="${id}">${label}</option>`).join('');
+    element.querySelector('.heating-system').value = values.system ?? 'none';
+    energy.value = values.energy in ENERGY_LABELS ? values.energy : 'gaz';
+    for (const field in HEATING_FIELDS) {
+      element.querySelector(`.${HEATING_FIELDS[field]}`).value = values[field] ?? '';
     }
-    
-    for (const k in perEnergyEsc) {
-      const v = perEnergyEsc[k];
-      if (!Number.isFinite(v) || v < -50 || v > 100) {
-        alert("Inflation énergie invalide (entre -50 et 100).");
-        return null;
+    updateHeatingInputs(element);
+  }
+
+  function collectHeating(element) {
+    return {
+      system: element.querySelector('.heating-system').value,
+      energy: element.querySelector('.heating-energy').value,
+      ...Object.fromEntries(Object.entries(HEATING_FIELDS).map(([field, className]) => [field, numberOrNull(element.querySelector(`.${className}`))])),
+    };
+  }
+
+  // Non-energy costs of a set, counted in the total cost of ownership (see equipmentFromState)
+  const equipmentMarkup = `
+    <div class="grid mt">
+      <label>
+        Contrat d'entretien (€/an)
+        <input class="equipment-maintenance" type="number" min="0" step="10" placeholder="ex: 180" />
+      </label>
+      <label>
+        Ramonage (€/an)
+        <input class="equipment-sweeping" type="number" min="0" step="10" placeholder="ex: 70" />
+      </label>
+      <label>
+        Évolution de ces coûts (%/an)
+        <input class="equipment-escalation" type="number" min="-50" max="100" step="0.1" placeholder="${EQUIPMENT_DEFAULTS.escalation}" />
+      </label>
+      <label>
+        Remplacement (€, prix de l'année de départ)
+        <input class="equipment-replacement-cost" type="number" min="0" step="100" placeholder="ex: 5000" />
+      </label>
+      <label>
+        Année du remplacement
+        <input class="equipment-replacement-year" type="number" min="2000" max="2100" step="1" placeholder="ex: 2033" />
+      </label>
+      <label>
+        Valeur résiduelle en fin de période (€)
+        <input class="equipment-residual-value" type="number" min="0" step="100" placeholder="ex: 1500" />
+      </label>
+    </div>
+    <small>Coûts hors énergie, comptés dans le coût total de possession ; la valeur résiduelle est déduite la dernière année.</small>
+  `;
+
+  function fillEquipment(element, values = {}) {
+    for (const field in EQUIPMENT_FIELDS) {
+      element.querySelector(`.${EQUIPMENT_FIELDS[field]}`).value = values[field] ?? '';
+    }
+  }
+
+  function collectEquipment(element) {
+    return Object.fromEntries(Object.entries(EQUIPMENT_FIELDS).map(([field, className]) => [field, numberOrNull(element.querySelector(`.${className}`))]));
+  }
+
+  function makeRow(initial = {}, container) {
+    const values = { quantity: '', energy: 'electricite', unit: 'kwh', unitPrice: '', fixedCost: '', fixedEscalation: '', ...initial };
+    const div = document.createElement('div');
+    div.className = 'row';
+    div.innerHTML = `
+      <div class="row-main">
+        <input type="number" min="0" step="any" placeholder="kWh" class="quantity" aria-label="Quantité">
+        <select class="energy">
+          ${Object.entries(ENERGY_LABELS).map(([id, label]) => `<option value="${id}">${label}</option>`).join('')}
+        </select>
+        <select class="unit" aria-label="Unité"></select>
+        <input type="number" min="0" step="0.0001" placeholder="€/kWh" class="unitPrice" aria-label="Prix unitaire">
+        <button type="button" class="remove">Supprimer</button>
+      </div>
+      <details class="row-options">
+        <summary>Options de la ligne</summary>
+        <div class="row-options-grid">
+          <label>
+            Abonnement (€/an)
+            <input type="number" min="0" step="1" placeholder="ex: 180" class="fixedCost">
+          </label>
+          <label>
+            Évolution abonnement (%/an)
+            <input type="number" min="-50" max="100" step="0.1" placeholder="= inflation énergie" class="fixedEscalation">
+          </label>
+          <label class="tariff-option">
+            Option tarifaire
+            <select class="tariff">
+              ${Object.entries(ELECTRICITY_TARIFFS).map(([id, t]) => `<option value="${id}">${t.label}</option>`).join('')}
+            </select>
+          </label>
+          <label>
+            Profil saisonnier (mode mensuel)
+            <select class="profile">
+              ${Object.entries(SEASONAL_PROFILES).map(([id, p]) => `<option value="${id}">${p.label}</option>`).join('')}
+            </select>
+          </label>
+          <label>
+            Poids mensuels, de janvier à décembre
+            <input type="text" class="profile-weights" placeholder="ex: 16;14;12;9;6;4;3;3;5;8;11;14">
+          </label>
+        </div>
+        <div class="tariff-periods"></div>
+        ${consumptionModifiersMarkup}
+      </details>
+    `;
+    ROW_NUMERIC_FIELDS.forEach((field) => {
+      div.querySelector(`.${field}`).value = values[field] ?? '';
+    });
+    const energySelect = div.querySelector('.energy');
+    const unitSelect = div.querySelector('.unit');
+    const tariffSelect = div.querySelector('.tariff');
+    const periodsContainer = div.querySelector('.tariff-periods');
+    // Period inputs of the selected tariff, prefilled with the saved values or the tariff defaults
+    const fillPeriods = (saved = []) => {
+      const isElectricity = energySelect.value === 'electricite';
+      const tariff = isElectricity ? tariffSelect.value : 'base';
+      div.querySelector('.tariff-option').hidden = !isElectricity;
+      const priceInput = div.querySelector('.unitPrice');
+      priceInput.disabled = tariff !== 'base';
+      if (tariff !== 'base') priceInput.value = '';
+      periodsContainer.innerHTML = ELECTRICITY_TARIFFS[tariff].periods.map((p) => `
+        <div class="tariff-period" data-period="${p.id}">
+          <span>${p.label}</span>
+          <input type="number" min="0" max="100" step="0.1" class="period-share" aria-label="Part ${p.label} (%)" placeholder="Part (%)">
+          <input type="number" min="0" step="0.0001" class="period-price" aria-label="Prix ${p.label} (€/kWh)" placeholder="€/kWh">
+          <input type="number" min="-50" max="100" step="0.1" class="period-escalation" aria-label="Évolution ${p.label} (%/an)" placeholder="= inflation électricité">
+        </div>
+      `).join('');
+      ELECTRICITY_TARIFFS[tariff].periods.forEach((p) => {
+        const values = saved.find((s) => s.id === p.id) ?? { share: p.sharePct, unitPrice: p.unitPrice };
+        const periodDiv = periodsContainer.querySelector(`[data-period="${p.id}"]`);
+        periodDiv.querySelector('.period-share').value = values.share ?? '';
+        periodDiv.querySelector('.period-price').value = values.unitPrice ?? '';
+        periodDiv.querySelector('.period-escalation').value = values.escalation ?? '';
+      });
+    };
+    const updatePlaceholders = () => {
+      const { label } = findUnit(energySelect.value, unitSelect.value);
+      div.querySelector('.quantity').placeholder = label;
+      div.querySelector('.unitPrice').placeholder = `€/${label}`;
+    };
+    // Units offered depend on the energy; keep the current one when the new energy has it
+    const fillUnits = (selected) => {
+      unitSelect.innerHTML = ENERGY_UNITS[energySelect.value]
+        .map((u) => `<option value="${u.id}">${u.label}</option>`)
+        .join('');
+      unitSelect.value = findUnit(energySelect.value, selected).id;
+      updatePlaceholders();
+    };
+    energySelect.value = values.energy;
+    fillUnits(values.unit);
+    fillModifiers(div.querySelector('.row-options'), values.consumption);
+    tariffSelect.value = values.tariff ?? 'base';
+    fillPeriods(values.periods);
+    // Rows keep the default profile of their energy until another one is chosen
+    const profileSelect = div.querySelector('.profile');
+    const weightsInput = div.querySelector('.profile-weights');
+    const updateWeights = () => { weightsInput.disabled = profileSelect.value !== 'custom'; };
+    profileSelect.value = values.profile ?? defaultProfile(values.energy);
+    weightsInput.value = values.profileWeights ?? '';
+    updateWeights();
+    profileSelect.addEventListener('change', updateWeights);
+    let previousEnergy = values.energy;
+    energySelect.addEventListener('change', () => {
+      if (profileSelect.value === defaultProfile(previousEnergy)) profileSelect.value = defaultProfile(energySelect.value);
+      previousEnergy = energySelect.value;
+      updateWeights();
+    });
+    energySelect.addEventListener('change', () => {
+      // Library energies start in their native unit at their default price
+      const priceInput = div.querySelector('.unitPrice');
+      const defaultPrice = ENERGY_DEFAULT_PRICES[energySelect.value];
+      if (defaultPrice != null && priceInput.value === '') {
+        fillUnits(ENERGY_UNITS[energySelect.value][0].id);
+        priceInput.value = String(defaultPrice);
+      } else {
+        fillUnits(unitSelect.value);
+      }
+      fillPeriods();
+    });
+    unitSelect.addEventListener('change', updatePlaceholders);
+    tariffSelect.addEventListener('change', () => fillPeriods());
+    div.querySelector('.remove').addEventListener('click', () => div.remove());
+    container.appendChild(div);
+  }
+
+  // Consumption rows of a container, as saved in a project (see rowsFromState)
+  function collectRows(container) {
+    return Array.from(container.querySelectorAll('.row')).map((div) => {
+      const row = { energy: div.querySelector('.energy').value, unit: div.querySelector('.unit').value };
+      ROW_NUMERIC_FIELDS.forEach((field) => {
+        row[field] = numberOrNull(div.querySelector(`.${field}`));
+      });
+      row.consumption = collectModifiers(div.querySelector('.row-options'));
+      row.profile = div.querySelector('.profile').value;
+      row.profileWeights = div.querySelector('.profile-weights').value;
+      const periodDivs = Array.from(div.querySelectorAll('.tariff-period'));
+      if (periodDivs.length) {
+        row.tariff = div.querySelector('.tariff').value;
+        row.periods = periodDivs.map((periodDiv) => ({
+          id: periodDiv.dataset.period,
+          share: numberOrNull(periodDiv.querySelector('.period-share')),
+          unitPrice: numberOrNull(periodDiv.querySelector('.period-price')),
+          escalation: numberOrNull(periodDiv.querySelector('.period-escalation')),
+        }));
       }
+      return row;
+    });
+  }
+
+  // Each alternative scenario is a card with its own name, rows and investment parameters
+  let scenarioCount = 0;
+
+  function makeScenario(initial = {}) {
+    scenarioCount += 1;
+    const card = document.createElement('div');
+    card.className = 'scenario-card';
+    card.innerHTML = `
+      <div class="scenario-card-header">
+        <input type="text" class="scenario-name" placeholder="Nom du scénario" aria-label="Nom du scénario">
+        <button type="button" class="remove-scenario">Supprimer le scénario</button>
+      </div>
+      <div class="rows-header">
+        <div>Consommations du scénario</div>
+        <button type="button" class="add-scenario-row">Ajouter une ligne</button>
+      </div>
+      <div class="rows scenario-rows"></div>
+
+      <label class="mt">
+        Report vers les heures creuses (% de la consommation HP, options HP/HC et Tempo)
+        <input class="hc-shift" type="number" min="0" max="100" step="1" placeholder="ex: 30 (ballon ou PAC programmés en HC)" />
+      </label>
+
+      <details class="set-modifiers mt">
+        <summary>Évolution de la consommation (toutes les lignes du scénario)</summary>
+        ${consumptionModifiersMarkup}
+      </details>
+
+      <details class="set-heating mt">
+        <summary>Chauffage à partir du besoin de chaleur</summary>
+        ${heatingMarkup}
+        <small>Consommation ajoutée aux lignes du scénario, calculée depuis le besoin de chauffage saisi dans la consommation de base.</small>
+      </details>
+
+      <details class="set-equipment mt">
+        <summary>Entretien et remplacement des équipements</summary>
+        ${equipmentMarkup}
+      </details>
+
+      <details class="scenario-pv mt">
+        <summary>Panneaux photovoltaïques</summary>
+        <div class="grid mt">
+          <label>
+            Puissance installée (kWc)
+            <input class="pv-power" type="number" min="0" max="1000" step="0.1" placeholder="ex: 6" />
+          </label>
+          <label>
+            Productible (kWh/kWc/an)
+            <input class="pv-yield" type="number" min="0" max="3000" step="10" placeholder="${PV_DEFAULTS.yield}" />
+          </label>
+          <label>
+            Dégradation des panneaux (%/an)
+            <input class="pv-degradation" type="number" min="0" max="10" step="0.1" placeholder="${PV_DEFAULTS.degradation}" />
+          </label>
+          <label>
+            Part autoconsommée de la production (%)
+            <input class="pv-self-consumption" type="number" min="0" max="100" step="1" placeholder="${PV_DEFAULTS.selfConsumption}" />
+          </label>
+          <label>
+            Tarif de rachat du surplus (€/kWh)
+            <input class="pv-feed-in-tariff" type="number" min="0" step="0.0001" placeholder="${PV_DEFAULTS.feedInTariff}" />
+          </label>
+          <label>
+            Indexation du tarif de rachat (%/an)
+            <input class="pv-feed-in-escalation" type="number" min="-50" max="100" step="0.1" placeholder="${PV_DEFAULTS.feedInEscalation}" />
+          </label>
+        </div>
+        <small>L'autoconsommation réduit les lignes d'électricité du scénario, dans la limite de leur consommation ; le reste de la production est revendu.</small>
+      </details>
+
+      <details class="scenario-investment mt">
+        <summary>Investissement et financement</summary>
+        <div class="grid mt">
+          <label>
+            Investissement (€)
+            <input class="investment" type="number" min="0" step="100" placeholder="ex: 15000" />
+          </label>
+          <label>
+            Taux d'actualisation (%/an)
+            <input class="discount-rate" type="number" min="0" max="20" step="0.1" placeholder="3" />
+          </label>
+          <label>
+            MaPrimeRénov' (€)
+            <input class="subsidy-mpr" type="number" min="0" step="100" placeholder="ex: 4000" />
+          </label>
+          <label>
+            CEE et autres aides (€)
+            <input class="subsidy-cee" type="number" min="0" step="100" placeholder="ex: 2500" />
+          </label>
+          <label>
+            Montant emprunté (€)
+            <input class="loan-amount" type="number" min="0" step="100" placeholder="0" />
+          </label>
+          <label>
+            Taux du prêt (%/an)
+            <input class="loan-rate" type="number" min="0" max="20" step="0.01" placeholder="ex: 0 (éco-PTZ)" />
+          </label>
+          <label>
+            Durée du prêt (ans)
+            <input class="loan-years" type="number" min="1" max="30" step="1" placeholder="ex: 15" />
+          </label>
+        </div>
+      </details>
+    `;
+    card.querySelector('.scenario-name').value = initial.name ?? `Scénario ${scenarioCount}`;
+    card.querySelector('.hc-shift').value = initial.hcShift ?? '';
+    fillModifiers(card.querySelector('.set-modifiers'), initial.consumption);
+    const heating = card.querySelector('.set-heating');
+    fillHeating(heating, initial.heating);
+    heating.querySelector('.heating-system').addEventListener('change', () => updateHeatingInputs(heating));
+    fillEquipment(card.querySelector('.set-equipment'), initial.equipment);
+    for (const field in PV_FIELDS) {
+      card.querySelector(`.${PV_FIELDS[field]}`).value = initial.pv?.[field] ?? '';
+    }
+    for (const field in INVESTMENT_FIELDS) {
+      card.querySelector(`.${INVESTMENT_FIELDS[field]}`).value = initial.investment?.[field] ?? '';
+    }
+    const scenarioRows = card.querySelector('.scenario-rows');
+    card.querySelector('.add-scenario-row').addEventListener('click', () => makeRow({}, scenarioRows));
+    card.querySelector('.remove-scenario').addEventListener('click', () => card.remove());
+    scenariosContainer.appendChild(card);
+    const rows = initial.rows?.length ? initial.rows : [{}];
+    rows.forEach((row) => makeRow(row, scenarioRows));
+    return card;
+  }
+
+  addRowBtn.addEventListener('click', () => makeRow({}, rowsContainer));
+  addScenarioBtn.addEventListener('click', () => makeScenario());
+  
+  // Modifiers applying to every base row
+  const baseModifiers = document.getElementById('base-modifiers');
+  baseModifiers.insertAdjacentHTML('beforeend', consumptionModifiersMarkup);
+
+  // Useful heat demand of the building and heating system of the base
+  const heatDemandInput = document.getElementById('heat-demand');
+  const baseHeating = document.getElementById('base-heating');
+  heatDemandInput.closest('label').insertAdjacentHTML('afterend', heatingMarkup);
+  fillHeating(baseHeating);
+  baseHeating.querySelector('.heating-system').addEventListener('change', () => updateHeatingInputs(baseHeating));
+
+  const baseEquipment = document.getElementById('base-equipment');
+  baseEquipment.insertAdjacentHTML('beforeend', equipmentMarkup);
+
+  // Seed with one empty row in base section
+  makeRow({}, rowsContainer);
+
+  // Toggle scenario section
+  enableScenarioCheckbox.addEventListener('change', (e) => {
+    scenarioContent.hidden = !e.target.checked;
+    if (e.target.checked && scenariosContainer.children.length === 0) {
+      makeScenario();
     }
+  });
+
+  // Per-energy inputs: rate and price trajectory, emission factor and Monte Carlo spread (see buildEnergyInputs)
+  const escalationPanel = document.getElementById('escalation-panel');
+  const climatePanel = document.getElementById('climate-panel');
 
-    return computeEvolution({ startYear, years, rows, escalationPctByEnergy: perEnergyEsc });
+  // Rates and trajectories as entered, empty inputs left to escalationFromState and trajectoriesFromState
+  function collectEscalation() {
+    return Object.fromEntries(Object.keys(ENERGY_ESCALATION_PRESETS).map((key) => [
+      key,
+      numberOrNull(document.getElementById(`esc-${key}`)),
+    ]));
   }
 
-  function calculateScenario() {
-    const rows = Array.from(scenarioRowsContainer.querySelectorAll('.row')).map((div) => {
-      const kwh = parseNumber(div.querySelector('.kwh').value);
-      const energy = div.querySelector('.energy').value;
-      const unitPrice = parseNumber(div.querySelector('.unitPrice').value);
-      return { kwh, energy, unitPrice };
-    }).filter((r) => Number.isFinite(r.kwh) && r.kwh > 0 && Number.isFinite(r.unitPrice) && r.unitPrice >= 0);
+  function collectTrajectories() {
+    return Object.fromEntries(Object.keys(ENERGY_ESCALATION_PRESETS).map((key) => [key, {
+      mode: document.getElementById(`traj-mode-${key}`).value,
+      spec: document.getElementById(`traj-spec-${key}`).value,
+    }]));
+  }
 
+  function updateTrajectoryPreview() {
     const startYear = Number(document.getElementById('start-year').value);
     const years = Number(document.getElementById('years').value);
-    
-    const perTypeInputs = {
-      electricite: document.getElementById('esc-electricite').value,
-      gaz: document.getElementById('esc-gaz').value,
-      fioul: document.getElementById('esc-fioul').value,
-      granule: document.getElementById('esc-granule').value,
-      plaquette: document.getElementById('esc-plaquette').value,
-      propane: document.getElementById('esc-propane').value,
+    if (!Number.isInteger(startYear) || !Number.isInteger(years) || years < 1 || years > 50) return;
+    const escalationPctByEnergy = escalationFromState(collectEscalation());
+    if (!Object.values(escalationPctByEnergy).every(Number.isFinite)) return;
+    const { trajectories, error } = trajectoriesFromState(collectTrajectories(), startYear);
+    document.getElementById('trajectory-error').textContent = error ?? '';
+    drawTrajectoryPreview('trajectory-preview', { startYear, years, escalationPctByEnergy, trajectoryByEnergy: trajectories });
+  }
+
+  // Climate settings as entered (see climateFromState)
+  function collectClimate() {
+    return {
+      factors: Object.fromEntries(Object.keys(EMISSION_FACTOR_PRESETS).map((key) => [key, numberOrNull(document.getElementById(`co2-${key}`))])),
+      electricityDecline: numberOrNull(document.getElementById('co2-electricity-decline')),
+      carbonPrice: numberOrNull(document.getElementById('carbon-price')),
+      carbonEscalation: numberOrNull(document.getElementById('carbon-price-escalation')),
+      includeCarbon: document.getElementById('carbon-include').checked,
     };
-    
-    const perEnergyEsc = Object.fromEntries(Object.keys(ENERGY_ESCALATION_PRESETS).map((key) => {
-      const perVal = perTypeInputs[key];
-      const val = perVal !== '' ? Number(perVal) : ENERGY_ESCALATION_PRESETS[key];
-      return [key, val];
-    }));
+  }
+
+  // Conversion factors from native units to kWh
+  const conversionPanel = document.getElementById('conversion-panel');
+  for (const key in CONVERSION_DEFAULTS) {
+    const label = document.createElement('label');
+    label.innerHTML = `${CONVERSION_LABELS[key]}<input id="conv-${key}" type="number" min="0" step="any">`;
+    label.querySelector('input').value = String(CONVERSION_DEFAULTS[key]);
+    conversionPanel.appendChild(label);
+  }
+
+  // Conversion factors as entered, empty inputs falling back to the defaults in conversionsFromState
+  function collectConversions() {
+    return Object.fromEntries(Object.keys(CONVERSION_DEFAULTS).map((key) => [
+      key,
+      numberOrNull(document.getElementById(`conv-${key}`)),
+    ]));
+  }
+
+  // Historical bills: average prices and fitted escalation per energy, offered to fill the form
+  const billHistoryInput = document.getElementById('bill-history');
+  const billFitMethod = document.getElementById('bill-fit-method');
+  const billHistoryResults = document.getElementById('bill-history-results');
+  const applyBillFitBtn = document.getElementById('apply-bill-fit');
+  let billAnalysis = null;
+
+  for (const [method, label] of Object.entries(BILL_FIT_METHODS)) {
+    billFitMethod.appendChild(new Option(label, method));
+  }
+
+  // Analysis of the bills entered, null when there are none; `error` is set when they cannot be read.
+  function readBillHistory() {
+    if (!billHistoryInput.value.trim()) return { analysis: null, error: null };
+    const { bills, error } = parseBillsCsv(billHistoryInput.value);
+    if (error) return { analysis: null, error: `Historique des factures : ${error}.` };
+    return { analysis: analyzeBills(bills, billFitMethod.value, conversionsFromState(collectConversions()).conversions), error: null };
+  }
 
-    if (!rows.length) {
-      alert('Veuillez ajouter au moins une ligne valide (kWh et €/kWh) dans le scénario.');
-      return null;
+  function showBillAnalysis(analysis) {
+    billAnalysis = analysis;
+    billHistoryResults.hidden = !analysis;
+    applyBillFitBtn.disabled = !analysis;
+    if (!analysis) return;
+    billHistoryResults.querySelector('tbody').innerHTML = analysis.energies.map(({ energy, years, escalationPct }) => {
+      const last = years[years.length - 1];
+      return `
+        <tr>
+          <td>${ENERGY_LABELS[energy]}</td>
+          <td>${years.map((y) => `${y.year} : ${formatNumber(y.unitPrice)}`).join('<br/>')}</td>
+          <td>${formatNumber(last.kwh, 0)} kWh<br/><small>${formatCurrency0(last.amount)}</small></td>
+          <td>${escalationPct === null ? '— <small>(une seule année)</small>' : `${escalationPct >= 0 ? '+' : ''}${formatPercent(escalationPct)}/an`}</td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  function analyzeBillHistory() {
+    const { analysis, error } = readBillHistory();
+    if (error) {
+      alert(error);
+      return;
+    }
+    showBillAnalysis(analysis);
+  }
+
+  document.getElementById('analyze-bills').addEventListener('click', analyzeBillHistory);
+  billFitMethod.addEventListener('change', () => {
+    if (billAnalysis) analyzeBillHistory();
+  });
+
+  document.getElementById('bill-history-file').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    billHistoryInput.value = await file.text();
+    analyzeBillHistory();
+  });
+
+  // Fitted rates go to the escalation inputs; the base rows are replaced by one row per energy with the
+  // last year's consumption and its price carried forward to the start year.
+  applyBillFitBtn.addEventListener('click', () => {
+    if (!billAnalysis) return;
+    const count = billAnalysis.energies.length;
+    if (!confirm(`Remplacer les lignes de consommation de base par ${count} ligne(s) issue(s) des factures et reporter les hausses ajustées dans l'inflation par énergie ?`)) return;
+    const startYear = Number(document.getElementById('start-year').value);
+    rowsContainer.innerHTML = '';
+    billAnalysis.energies.forEach(({ energy, years, escalationPct }) => {
+      const last = years[years.length - 1];
+      const rate = escalationPct ?? escalationFromState(collectEscalation())[energy];
+      if (escalationPct !== null) document.getElementById(`esc-${energy}`).value = String(Math.round(escalationPct * 10) / 10);
+      const unitPrice = last.unitPrice * Math.pow(1 + rate / 100, Math.max(startYear - last.year, 0));
+      makeRow({ energy, unit: 'kwh', quantity: Math.round(last.kwh), unitPrice: Math.round(unitPrice * 10000) / 10000 }, rowsContainer);
+    });
+    updateTrajectoryPreview();
+  });
+
+  // Probabilistic mode: spread of each energy's rate around the value entered above
+  const mcDistribution = document.getElementById('mc-distribution');
+  const mcParams = document.getElementById('mc-params');
+
+  function updateMonteCarloInputs() {
+    mcParams.querySelectorAll('.mc-normal').forEach((input) => { input.hidden = mcDistribution.value !== 'normal'; });
+    mcParams.querySelectorAll('.mc-triangular').forEach((input) => { input.hidden = mcDistribution.value !== 'triangular'; });
+  }
+
+  mcDistribution.addEventListener('change', updateMonteCarloInputs);
+
+  // Inputs of every energy of the active library, prefilled with its presets; rebuilt when the library changes
+  function buildEnergyInputs() {
+    escalationPanel.innerHTML = '';
+    climatePanel.innerHTML = '';
+    mcParams.innerHTML = '';
+    for (const key in ENERGY_LABELS) {
+      const name = ENERGY_LABELS[key];
+      const rate = document.createElement('label');
+      rate.innerHTML = `
+        ${name} (%/an)
+        <input id="esc-${key}" type="number" min="-50" max="100" step="0.1" placeholder="défaut ${ENERGY_ESCALATION_PRESETS[key]}">
+        <div class="trajectory">
+          <select id="traj-mode-${key}" aria-label="Trajectoire ${name}">
+            <option value="constant">Taux constant</option>
+            <option value="segments">Par périodes</option>
+            <option value="table">Prix par année</option>
+          </select>
+          <input id="traj-spec-${key}" type="text" hidden>
+        </div>
+      `;
+      rate.querySelector(`#esc-${key}`).value = String(ENERGY_ESCALATION_PRESETS[key]);
+      const mode = rate.querySelector('select');
+      const spec = rate.querySelector(`#traj-spec-${key}`);
+      mode.addEventListener('change', () => {
+        spec.hidden = mode.value === 'constant';
+        spec.placeholder = mode.value === 'segments' ? 'ex: 2025-2027: 8; 2028+: 2' : 'ex: 2025: 0.25; 2026: 0.28';
+      });
+      escalationPanel.appendChild(rate);
+
+      const factor = document.createElement('label');
+      factor.innerHTML = `${name} (kgCO₂e/kWh)<input id="co2-${key}" type="number" min="0" step="0.001">`;
+      factor.querySelector('input').value = String(EMISSION_FACTOR_PRESETS[key]);
+      climatePanel.appendChild(factor);
+
+      const spread = document.createElement('div');
+      spread.className = 'trajectory';
+      spread.innerHTML = `
+        <span>${name}</span>
+        <input id="mc-sd-${key}" class="mc-normal" type="number" min="0" step="0.1" placeholder="Écart-type (défaut ${MONTE_CARLO_DEFAULTS.sd} pt)" aria-label="Écart-type ${name}">
+        <input id="mc-min-${key}" class="mc-triangular" type="number" step="0.1" placeholder="Min (défaut taux − ${MONTE_CARLO_DEFAULTS.spread})" aria-label="Minimum ${name}">
+        <input id="mc-max-${key}" class="mc-triangular" type="number" step="0.1" placeholder="Max (défaut taux + ${MONTE_CARLO_DEFAULTS.spread})" aria-label="Maximum ${name}">
+      `;
+      mcParams.appendChild(spread);
+    }
+    updateMonteCarloInputs();
+  }
+
+  buildEnergyInputs();
+
+  // Energy library editor: every valid change is saved in this browser and applied to the form
+  const energyLibraryBody = document.querySelector('#energy-library tbody');
+  const energyLibraryError = document.getElementById('energy-library-error');
+
+  function renderEnergyLibrary() {
+    energyLibraryError.textContent = '';
+    energyLibraryBody.innerHTML = energyLibrary().map((energy) => `
+      <tr data-id="${energy.id}" data-unit-id="${energy.unit?.id ?? ''}">
+        <td><input class="energy-label" type="text" aria-label="Nom"></td>
+        <td><input class="energy-color" type="color" aria-label="Couleur ${energy.label}"></td>
+        <td><input class="energy-price" type="number" min="0" step="any" aria-label="Prix par défaut ${energy.label}"></td>
+        <td><input class="energy-unit" type="text" placeholder="kWh" aria-label="Unité ${energy.label}"></td>
+        <td><input class="energy-kwh-per-unit" type="number" min="0" step="any" aria-label="kWh par unité ${energy.label}"></td>
+        <td><input class="energy-escalation" type="number" min="-50" max="100" step="0.1" aria-label="Inflation ${energy.label}"></td>
+        <td><input class="energy-factor" type="number" min="0" step="0.001" aria-label="Facteur d'émission ${energy.label}"></td>
+        <td><button type="button" class="remove-energy">Supprimer</button></td>
+      </tr>
+    `).join('');
+    energyLibrary().forEach((energy, i) => {
+      const tr = energyLibraryBody.rows[i];
+      tr.querySelector('.energy-label').value = energy.label;
+      tr.querySelector('.energy-color').value = energy.color;
+      tr.querySelector('.energy-price').value = energy.unitPrice ?? '';
+      tr.querySelector('.energy-unit').value = energy.unit?.label ?? '';
+      tr.querySelector('.energy-kwh-per-unit').value = energy.unit?.kwhPerUnit ?? '';
+      tr.querySelector('.energy-escalation').value = energy.escalationPct;
+      tr.querySelector('.energy-factor').value = energy.emissionFactor;
+    });
+  }
+
+  // Library as entered in the editor; ids stay those given when the energy (or its unit) was added
+  function collectEnergyLibrary() {
+    return Array.from(energyLibraryBody.rows).map((tr) => {
+      const unitLabel = tr.querySelector('.energy-unit').value.trim();
+      return {
+        id: tr.dataset.id,
+        label: tr.querySelector('.energy-label').value.trim(),
+        color: tr.querySelector('.energy-color').value,
+        unitPrice: numberOrNull(tr.querySelector('.energy-price')),
+        escalationPct: numberOrNull(tr.querySelector('.energy-escalation')),
+        emissionFactor: numberOrNull(tr.querySelector('.energy-factor')),
+        unit: unitLabel && unitLabel.toLowerCase() !== 'kwh'
+          ? { id: tr.dataset.unitId || energyIdFromLabel(unitLabel), label: unitLabel, kwhPerUnit: numberOrNull(tr.querySelector('.energy-kwh-per-unit')) }
+          : null,
+      };
+    });
+  }
+
+  // Make a valid library the active one, unless a consumption row uses an energy or unit it lacks.
+  // Rates and emission factors left at the old default follow the new one.
+  function changeEnergyLibrary(library) {
+    const state = collectState();
+    const missing = [...state.baseRows, ...state.scenarios.flatMap((scenario) => scenario.rows)].find((row) => {
+      if (isCoreEnergy(row.energy)) return false;
+      const energy = library.find((e) => e.id === row.energy);
+      return !energy || (row.unit !== 'kwh' && energy.unit?.id !== row.unit);
+    });
+    if (missing) {
+      alert(`${ENERGY_LABELS[missing.energy]} est utilisé par une ligne de consommation : modifiez d'abord l'énergie ou l'unité de cette ligne.`);
+      renderEnergyLibrary();
+      return;
+    }
+    energyLibrary().forEach((previous) => {
+      const energy = library.find((e) => e.id === previous.id);
+      if (!energy) return;
+      if (state.escalation[energy.id] === previous.escalationPct) state.escalation[energy.id] = energy.escalationPct;
+      if (state.climate.factors[energy.id] === previous.emissionFactor) state.climate.factors[energy.id] = energy.emissionFactor;
+    });
+    writeEnergyLibrary(library);
+    applyState({ ...state, energies: library });
+  }
+
+  energyLibraryBody.addEventListener('change', () => {
+    const library = collectEnergyLibrary();
+    const errors = validateEnergyLibrary(library);
+    energyLibraryError.textContent = errors[0] ?? '';
+    if (!errors.length) changeEnergyLibrary(library);
+  });
+
+  energyLibraryBody.addEventListener('click', (e) => {
+    const button = e.target.closest('.remove-energy');
+    if (button) changeEnergyLibrary(energyLibrary().filter((energy) => energy.id !== button.closest('tr').dataset.id));
+  });
+
+  document.getElementById('add-energy').addEventListener('click', () => {
+    const library = energyLibrary();
+    const id = energyIdFromLabel('Nouvelle énergie', library.map((energy) => energy.id));
+    changeEnergyLibrary([...library, { id, label: 'Nouvelle énergie', color: '#64748b', unitPrice: null, escalationPct: 2, emissionFactor: 0, unit: null }]);
+  });
+
+  document.getElementById('reset-energies').addEventListener('click', () => {
+    if (confirm('Remplacer la bibliothèque par les énergies proposées par défaut ?')) changeEnergyLibrary(DEFAULT_ENERGY_LIBRARY);
+  });
+
+  // Library files, to use the same energies on another computer or in the command line
+  document.getElementById('export-energies').addEventListener('click', () => {
+    downloadFile('energies.facture-energie.json', JSON.stringify({ energies: energyLibrary() }, null, 2), 'application/json');
+  });
+
+  document.getElementById('import-energies').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const { library, error } = parseEnergyLibrary(await file.text());
+    if (error) {
+      alert(`Bibliothèque invalide : ${error}.`);
+      return;
+    }
+    changeEnergyLibrary(library);
+  });
+
+  renderEnergyLibrary();
+
+  // Monte Carlo settings as entered (see monteCarloFromState)
+  function collectMonteCarlo() {
+    return {
+      enabled: document.getElementById('mc-enabled').checked,
+      distribution: mcDistribution.value,
+      correlation: numberOrNull(document.getElementById('mc-correlation')),
+      runs: numberOrNull(document.getElementById('mc-runs')),
+      seed: numberOrNull(document.getElementById('mc-seed')),
+      ...Object.fromEntries(MONTE_CARLO_SPREAD_FIELDS.map((field) => [
+        field,
+        Object.fromEntries(Object.keys(ENERGY_ESCALATION_PRESETS).map((key) => [key, numberOrNull(document.getElementById(`mc-${field}-${key}`))])),
+      ])),
+    };
+  }
+
+  escalationPanel.addEventListener('input', updateTrajectoryPreview);
+  escalationPanel.addEventListener('change', updateTrajectoryPreview);
+  document.getElementById('start-year').addEventListener('input', updateTrajectoryPreview);
+  document.getElementById('years').addEventListener('input', updateTrajectoryPreview);
+  updateTrajectoryPreview();
+
+  // Last rendered results, used by the exports
+  let lastResults = null;
+  const valueBasisSelect = document.getElementById('value-basis');
+  const monthlyEnabled = document.getElementById('monthly-enabled');
+  const priceChangeMonth = document.getElementById('price-change-month');
+  priceChangeMonth.innerHTML = MONTH_LABELS.map((label, m) => `<option value="${m + 1}">1er ${label.toLowerCase()}</option>`).join('');
+
+  // Snapshot of every input of the page (see validateProjectState for the format)
+  function collectState() {
+    return {
+      schemaVersion: PROJECT_SCHEMA_VERSION,
+      name: projectNameInput.value.trim(),
+      startYear: Number(document.getElementById('start-year').value),
+      years: Number(document.getElementById('years').value),
+      energies: energyLibrary(),
+      escalation: collectEscalation(),
+      trajectories: collectTrajectories(),
+      baseRows: collectRows(rowsContainer),
+      baseConsumption: collectModifiers(baseModifiers),
+      heatDemand: numberOrNull(heatDemandInput),
+      baseHeating: collectHeating(baseHeating),
+      baseEquipment: collectEquipment(baseEquipment),
+      billHistory: { text: billHistoryInput.value, method: billFitMethod.value },
+      valuation: {
+        basis: valueBasisSelect.value,
+        cpi: numberOrNull(document.getElementById('cpi-rate')),
+        discountRate: numberOrNull(document.getElementById('value-discount-rate')),
+      },
+      climate: collectClimate(),
+      monthly: { enabled: monthlyEnabled.checked, changeMonth: Number(priceChangeMonth.value) },
+      conversions: collectConversions(),
+      monteCarlo: collectMonteCarlo(),
+      scenarioEnabled: enableScenarioCheckbox.checked,
+      scenarios: Array.from(scenariosContainer.querySelectorAll('.scenario-card')).map((card) => ({
+        name: card.querySelector('.scenario-name').value,
+        rows: collectRows(card.querySelector('.scenario-rows')),
+        hcShift: numberOrNull(card.querySelector('.hc-shift')),
+        consumption: collectModifiers(card.querySelector('.set-modifiers')),
+        heating: collectHeating(card.querySelector('.set-heating')),
+        equipment: collectEquipment(card.querySelector('.set-equipment')),
+        pv: Object.fromEntries(Object.entries(PV_FIELDS).map(([field, className]) => [
+          field,
+          numberOrNull(card.querySelector(`.${className}`)),
+        ])),
+        investment: Object.fromEntries(Object.entries(INVESTMENT_FIELDS).map(([field, className]) => [
+          field,
+          numberOrNull(card.querySelector(`.${className}`)),
+        ])),
+      })),
+    };
+  }
+
+  // Rebuild the form from a validated state
+  function applyState(state) {
+    setEnergyLibrary(projectEnergies(state));
+    buildEnergyInputs();
+    renderEnergyLibrary();
+    projectNameInput.value = state.name ?? '';
+    document.getElementById('start-year').value = state.startYear;
+    document.getElementById('years').value = state.years;
+    for (const key in ENERGY_ESCALATION_PRESETS) {
+      document.getElementById(`esc-${key}`).value = state.escalation[key] ?? '';
+      const mode = document.getElementById(`traj-mode-${key}`);
+      mode.value = state.trajectories?.[key]?.mode ?? 'constant';
+      document.getElementById(`traj-spec-${key}`).value = state.trajectories?.[key]?.spec ?? '';
+      mode.dispatchEvent(new Event('change'));
+    }
+
+    valueBasisSelect.value = state.valuation?.basis ?? 'nominal';
+    document.getElementById('cpi-rate').value = state.valuation?.cpi ?? VALUE_BASIS_DEFAULTS.cpiPct;
+    document.getElementById('value-discount-rate').value = state.valuation?.discountRate ?? VALUE_BASIS_DEFAULTS.discountRatePct;
+
+    for (const key in EMISSION_FACTOR_PRESETS) {
+      document.getElementById(`co2-${key}`).value = state.climate?.factors?.[key] ?? EMISSION_FACTOR_PRESETS[key];
+    }
+    document.getElementById('co2-electricity-decline').value = state.climate?.electricityDecline ?? '';
+    document.getElementById('carbon-price').value = state.climate?.carbonPrice ?? '';
+    document.getElementById('carbon-price-escalation').value = state.climate?.carbonEscalation ?? '';
+    document.getElementById('carbon-include').checked = Boolean(state.climate?.includeCarbon);
+
+    monthlyEnabled.checked = Boolean(state.monthly?.enabled);
+    priceChangeMonth.value = String(state.monthly?.changeMonth ?? 1);
+
+    for (const key in CONVERSION_DEFAULTS) {
+      document.getElementById(`conv-${key}`).value = state.conversions?.[key] ?? CONVERSION_DEFAULTS[key];
+    }
+
+    const monteCarlo = state.monteCarlo ?? {};
+    document.getElementById('mc-enabled').checked = Boolean(monteCarlo.enabled);
+    mcDistribution.value = monteCarlo.distribution ?? 'normal';
+    document.getElementById('mc-correlation').value = monteCarlo.correlation ?? MONTE_CARLO_DEFAULTS.correlation;
+    document.getElementById('mc-runs').value = monteCarlo.runs ?? MONTE_CARLO_DEFAULTS.runs;
+    document.getElementById('mc-seed').value = monteCarlo.seed ?? MONTE_CARLO_DEFAULTS.seed;
+    MONTE_CARLO_SPREAD_FIELDS.forEach((field) => {
+      for (const key in ENERGY_ESCALATION_PRESETS) {
+        document.getElementById(`mc-${field}-${key}`).value = monteCarlo[field]?.[key] ?? '';
+      }
+    });
+    updateMonteCarloInputs();
+
+    billHistoryInput.value = state.billHistory?.text ?? '';
+    billFitMethod.value = state.billHistory?.method ?? 'cagr';
+    showBillAnalysis(readBillHistory().analysis);
+
+    fillModifiers(baseModifiers, state.baseConsumption);
+    heatDemandInput.value = state.heatDemand ?? '';
+    fillHeating(baseHeating, state.baseHeating);
+    fillEquipment(baseEquipment, state.baseEquipment);
+    rowsContainer.innerHTML = '';
+    (state.baseRows.length ? state.baseRows : [{}]).forEach((row) => makeRow(row, rowsContainer));
+
+    scenariosContainer.innerHTML = '';
+    scenarioCount = 0;
+    state.scenarios.forEach((scenario) => makeScenario(scenario));
+    enableScenarioCheckbox.checked = state.scenarioEnabled;
+    scenarioContent.hidden = !state.scenarioEnabled;
+    if (state.scenarioEnabled && !state.scenarios.length) makeScenario();
+
+    // Results on screen belong to the previous inputs
+    document.getElementById('base-results-section').hidden = true;
+    document.getElementById('comparison-results-section').hidden = true;
+    sensitivitySection.hidden = true;
+    monthlySection.hidden = true;
+    lastResults = null;
+    exportBtn.disabled = true;
+    exportJsonBtn.disabled = true;
+    reportBtn.disabled = true;
+  }
+
+  // Projects saved in localStorage
+  const projectNameInput = document.getElementById('project-name');
+  const projectList = document.getElementById('project-list');
+  const projectStatus = document.getElementById('project-status');
+  let currentProjectId = null;
+
+  function setProjectStatus(message) {
+    projectStatus.textContent = message;
+  }
+
+  function refreshProjectList() {
+    const projects = Object.values(readProjectLibrary()).sort((a, b) => a.name.localeCompare(b.name, 'fr'));
+    projectList.innerHTML = '';
+    if (!projects.length) {
+      projectList.appendChild(new Option('Aucun projet enregistré', ''));
+    }
+    projects.forEach((project) => {
+      const date = new Date(project.updatedAt).toLocaleDateString('fr-FR');
+      projectList.appendChild(new Option(`${project.name} (${date})`, project.id));
+    });
+    if (currentProjectId && projects.some((p) => p.id === currentProjectId)) projectList.value = currentProjectId;
+  }
+
+  function selectedProject() {
+    const project = readProjectLibrary()[projectList.value];
+    if (!project) alert('Veuillez sélectionner un projet enregistré.');
+    return project ?? null;
+  }
+
+  function storeProject(project) {
+    const library = readProjectLibrary();
+    library[project.id] = project;
+    try {
+      writeProjectLibrary(library);
+    } catch {
+      alert("Impossible d'enregistrer le projet : stockage local indisponible ou plein.");
+      return false;
+    }
+    return true;
+  }
+
+  document.getElementById('save-project').addEventListener('click', () => {
+    const state = collectState();
+    if (!state.name) {
+      alert('Veuillez donner un nom au projet.');
+      projectNameInput.focus();
+      return;
+    }
+    const library = readProjectLibrary();
+    // Saving under a new name creates a new project; same name overwrites the open one
+    const id = currentProjectId && library[currentProjectId]?.name === state.name ? currentProjectId : makeProjectId();
+    if (!storeProject({ id, name: state.name, updatedAt: new Date().toISOString(), state })) return;
+    currentProjectId = id;
+    refreshProjectList();
+    setProjectStatus(`Projet « ${state.name} » enregistré.`);
+  });
+
+  document.getElementById('open-project').addEventListener('click', () => {
+    const project = selectedProject();
+    if (!project) return;
+    const state = migrateProjectState(project.state);
+    const errors = validateProjectState(state);
+    if (errors.length) {
+      alert(`Projet illisible :\n${errors.join('\n')}`);
+      return;
+    }
+    applyState(state);
+    currentProjectId = project.id;
+    setProjectStatus(`Projet « ${project.name} » ouvert.`);
+  });
+
+  document.getElementById('duplicate-project').addEventListener('click', () => {
+    const project = selectedProject();
+    if (!project) return;
+    const name = `${project.name} (copie)`;
+    const copy = { id: makeProjectId(), name, updatedAt: new Date().toISOString(), state: { ...project.state, name } };
+    if (!storeProject(copy)) return;
+    refreshProjectList();
+    projectList.value = copy.id;
+    setProjectStatus(`Projet dupliqué en « ${name} ».`);
+  });
+
+  document.getElementById('rename-project').addEventListener('click', () => {
+    const project = selectedProject();
+    if (!project) return;
+    const name = prompt('Nouveau nom du projet :', project.name)?.trim();
+    if (!name) return;
+    if (!storeProject({ ...project, name, updatedAt: new Date().toISOString(), state: { ...project.state, name } })) return;
+    if (project.id === currentProjectId) projectNameInput.value = name;
+    refreshProjectList();
+    setProjectStatus(`Projet renommé en « ${name} ».`);
+  });
+
+  document.getElementById('delete-project').addEventListener('click', () => {
+    const project = selectedProject();
+    if (!project || !confirm(`Supprimer définitivement le projet « ${project.name} » ?`)) return;
+    const library = readProjectLibrary();
+    delete library[project.id];
+    writeProjectLibrary(library);
+    if (project.id === currentProjectId) currentProjectId = null;
+    refreshProjectList();
+    setProjectStatus(`Projet « ${project.name} » supprimé.`);
+  });
+
+  // Project files, to archive a study or send it to a colleague
+  document.getElementById('export-project').addEventListener('click', () => {
+    const state = collectState();
+    const slug = (state.name || 'projet').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+    downloadFile(`${slug}.facture-energie.json`, JSON.stringify(state, null, 2), 'application/json');
+  });
+
+  document.getElementById('import-project').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    let state;
+    try {
+      state = migrateProjectState(JSON.parse(await file.text()));
+    } catch {
+      alert("Le fichier n'est pas un JSON valide.");
+      return;
+    }
+    const errors = validateProjectState(state);
+    if (errors.length) {
+      alert(`Projet invalide :\n${errors.join('\n')}`);
+      return;
+    }
+    applyState(state);
+    currentProjectId = null;
+    setProjectStatus(`Projet « ${state.name || file.name} » importé. Enregistrez-le pour le conserver dans ce navigateur.`);
+  });
+
+  refreshProjectList();
+
+  // Portfolio of sites: each site is a project state, computed with the period, the value basis and (unless
+  // the site has its own) the price assumptions of the portfolio (see portfolioSiteState)
+  const portfolioNameInput = document.getElementById('portfolio-name');
+  const portfolioAssumptions = document.getElementById('portfolio-assumptions');
+  const portfolioSitesBody = document.querySelector('#portfolio-sites tbody');
+  const portfolioSection = document.getElementById('portfolio-results-section');
+  let portfolio = readPortfolio();
+
+  function savePortfolio() {
+    try {
+      writePortfolio(portfolio);
+    } catch {
+      alert("Impossible d'enregistrer le portefeuille : stockage local indisponible ou plein.");
+    }
+  }
+
+  function shareAssumptions(state) {
+    portfolio = { ...portfolio, startYear: state.startYear, years: state.years, valuation: state.valuation, escalation: state.escalation, trajectories: state.trajectories };
+  }
+
+  function describePortfolioAssumptions() {
+    if (portfolio.startYear === undefined) return 'Période et évolutions des prix reprises du premier site ajouté.';
+    const escalation = escalationFromState(portfolio.escalation);
+    const rates = Object.keys(escalation).map((key) => {
+      const mode = portfolio.trajectories?.[key]?.mode ?? 'constant';
+      return `${ENERGY_LABELS[key]} ${mode === 'constant' ? `${formatPercent(escalation[key])}/an` : 'trajectoire saisie'}`;
+    });
+    return `${portfolio.years} ans à partir de ${portfolio.startYear}, ${VALUE_BASES[portfolio.valuation?.basis] ?? VALUE_BASES.nominal} ; évolutions des prix : ${rates.join(', ')}.`;
+  }
+
+  function siteScenarioName(site) {
+    const scenario = site.state.scenarioEnabled ? site.state.scenarios?.[0] : null;
+    return scenario ? scenario.name || 'Scénario 1' : 'Aucun (base seule)';
+  }
+
+  function renderPortfolio() {
+    portfolioNameInput.value = portfolio.name ?? '';
+    portfolioAssumptions.textContent = describePortfolioAssumptions();
+    if (!portfolio.sites.length) {
+      portfolioSitesBody.innerHTML = '<tr><td colspan="4">Aucun site : ajoutez le formulaire ou un projet enregistré.</td></tr>';
+      return;
+    }
+    portfolioSitesBody.innerHTML = portfolio.sites.map((site, i) => `
+      <tr data-site="${i}">
+        <td><input class="site-name" type="text" aria-label="Nom du site ${i + 1}"></td>
+        <td>${escapeHtml(siteScenarioName(site))}</td>
+        <td><input class="site-override" type="checkbox" aria-label="Évolutions des prix propres au site ${i + 1}"></td>
+        <td>
+          <button type="button" class="site-detail">Détail</button>
+          <button type="button" class="site-replace">Remplacer par le formulaire</button>
+          <button type="button" class="site-remove">Retirer</button>
+        </td>
+      </tr>
+    `).join('');
+    portfolio.sites.forEach((site, i) => {
+      portfolioSitesBody.rows[i].querySelector('.site-name').value = site.name;
+      portfolioSitesBody.rows[i].querySelector('.site-override').checked = Boolean(site.overrideAssumptions);
+    });
+  }
+
+  // Results on screen belong to the previous sites
+  function changePortfolio() {
+    savePortfolio();
+    renderPortfolio();
+    portfolioSection.hidden = true;
+  }
+
+  function addSite(name, state) {
+    if (portfolio.startYear === undefined) shareAssumptions(state);
+    portfolio.sites.push({ name: name || `Site ${portfolio.sites.length + 1}`, overrideAssumptions: false, state });
+    changePortfolio();
+  }
+
+  // Detail of a site: its project in the form, with the portfolio assumptions, and its usual results
+  function openSite(index) {
+    const site = portfolio.sites[index];
+    const state = portfolioSiteState(portfolio, site);
+    const errors = validateProjectState(state);
+    if (errors.length) {
+      alert(`Site illisible :\n${errors.join('\n')}`);
+      return;
+    }
+    applyState(state);
+    currentProjectId = null;
+    setProjectStatus(`Site « ${site.name} » du portefeuille ouvert.`);
+    calculateAllBtn.click();
+    const results = document.getElementById(state.scenarioEnabled && state.scenarios.length ? 'comparison-results-section' : 'base-results-section');
+    if (!results.hidden) results.scrollIntoView({ behavior: 'smooth' });
+  }
+
+  portfolioNameInput.addEventListener('change', () => {
+    portfolio.name = portfolioNameInput.value.trim();
+    savePortfolio();
+  });
+
+  document.getElementById('portfolio-take-assumptions').addEventListener('click', () => {
+    shareAssumptions(collectState());
+    changePortfolio();
+  });
+
+  document.getElementById('portfolio-add-current').addEventListener('click', () => {
+    const state = collectState();
+    addSite(state.name, state);
+  });
+
+  document.getElementById('portfolio-add-saved').addEventListener('click', () => {
+    const project = selectedProject();
+    if (!project) return;
+    const state = migrateProjectState(project.state);
+    const errors = validateProjectState(state);
+    if (errors.length) {
+      alert(`Projet illisible :\n${errors.join('\n')}`);
+      return;
+    }
+    addSite(project.name, state);
+  });
+
+  portfolioSitesBody.addEventListener('change', (e) => {
+    const site = portfolio.sites[e.target.closest('tr').dataset.site];
+    if (e.target.classList.contains('site-name')) site.name = e.target.value.trim() || site.name;
+    if (e.target.classList.contains('site-override')) site.overrideAssumptions = e.target.checked;
+    changePortfolio();
+  });
+
+  portfolioSitesBody.addEventListener('click', (e) => {
+    const index = Number(e.target.closest('tr')?.dataset.site);
+    const site = portfolio.sites[index];
+    if (!site) return;
+    if (e.target.classList.contains('site-detail')) openSite(index);
+    if (e.target.classList.contains('site-replace') && confirm(`Remplacer le site « ${site.name} » par le formulaire ?`)) {
+      site.state = collectState();
+      changePortfolio();
+    }
+    if (e.target.classList.contains('site-remove') && confirm(`Retirer le site « ${site.name} » du portefeuille ?`)) {
+      portfolio.sites.splice(index, 1);
+      changePortfolio();
+    }
+  });
+
+  document.querySelector('#portfolio-ranking tbody').addEventListener('click', (e) => {
+    if (e.target.classList.contains('site-detail')) openSite(Number(e.target.dataset.site));
+  });
+
+  document.getElementById('calculate-portfolio').addEventListener('click', () => {
+    if (!portfolio.sites.length) {
+      alert('Ajoutez au moins un site au portefeuille.');
+      return;
+    }
+    const errors = validatePortfolioState(portfolio);
+    if (errors.length) {
+      alert(errors[0]);
+      return;
+    }
+    const result = runPortfolio(portfolio);
+    if (result.errors.length) {
+      alert(result.errors[0]);
+      return;
+    }
+    renderPortfolioResults(result);
+  });
+
+  document.getElementById('export-portfolio').addEventListener('click', () => {
+    const slug = (portfolio.name || 'mes-sites').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+    downloadFile(`${slug}.portefeuille-energie.json`, JSON.stringify(portfolio, null, 2), 'application/json');
+  });
+
+  document.getElementById('import-portfolio').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    let imported;
+    try {
+      imported = JSON.parse(await file.text());
+    } catch {
+      alert("Le fichier n'est pas un JSON valide.");
+      return;
+    }
+    const errors = validatePortfolioState(imported);
+    if (errors.length) {
+      alert(`Portefeuille invalide :\n${errors.join('\n')}`);
+      return;
+    }
+    portfolio = imported;
+    changePortfolio();
+    setProjectStatus(`Portefeuille « ${portfolio.name || file.name} » importé.`);
+  });
+
+  renderPortfolio();
+
+  // Shareable link carrying the whole simulation in the URL hash
+  const permalinkWarning = document.getElementById('permalink-warning');
+
+  document.getElementById('copy-permalink').addEventListener('click', async () => {
+    const hash = await encodePermalinkState(collectState());
+    history.replaceState(null, '', hash);
+    const link = location.href;
+    try {
+      await navigator.clipboard.writeText(link);
+      setProjectStatus('Lien de partage copié dans le presse-papiers.');
+    } catch {
+      prompt('Copiez le lien de partage :', link);
+    }
+  });
+
+  // An unreadable link leaves the form as on a fresh page (see defaultState), not half-filled
+  async function loadPermalink() {
+    try {
+      const state = await decodePermalinkState(location.hash);
+      if (!state) return;
+      applyState(state);
+    } catch {
+      applyState(defaultState);
+      currentProjectId = null;
+      permalinkWarning.hidden = false;
+      return;
+    }
+    permalinkWarning.hidden = true;
+    currentProjectId = null;
+    calculateAllBtn.click();
+  }
+
+  window.addEventListener('hashchange', loadPermalink);
+
+  // Months of a year of the last calculation, in monthly mode: costs, chart and suggested direct debit
+  const monthlySection = document.getElementById('monthly-section');
+  const monthlySet = document.getElementById('monthly-set');
+  const monthlyYear = document.getElementById('monthly-year');
+
+  function showMonthly() {
+    const { base, scenarios } = lastResults;
+    monthlySection.hidden = !base.rows[0].months;
+    if (monthlySection.hidden) return;
+    const selectedSet = monthlySet.value;
+    const selectedYear = monthlyYear.value;
+    monthlySet.innerHTML = '';
+    monthlySet.appendChild(new Option('Scénario de base', ''));
+    scenarios.forEach((s, i) => monthlySet.appendChild(new Option(s.name, String(i))));
+    monthlyYear.innerHTML = base.rows.map((row) => `<option value="${row.year}">${row.year}</option>`).join('');
+    if ([...monthlySet.options].some((o) => o.value === selectedSet)) monthlySet.value = selectedSet;
+    if (base.rows.some((row) => String(row.year) === selectedYear)) monthlyYear.value = selectedYear;
+    updateMonthly();
+  }
+
+  function updateMonthly() {
+    const { base, scenarios } = lastResults;
+    const evolution = monthlySet.value === '' ? base : scenarios[Number(monthlySet.value)].evolution;
+    const row = evolution.rows.find((r) => String(r.year) === monthlyYear.value) ?? evolution.rows[0];
+    const labels = detailLabels(row.details);
+    const debit = directDebitPlan(row);
+    drawMonthlyChart('monthly-chart', 'monthly-legend', row, labels, debit);
+
+    document.getElementById('monthly-debit').innerHTML = `Mensualisation ${row.year} : <strong>${formatCurrency0(debit.amount)} par mois</strong> sur 12 mois`
+      + (debit.lowestMonth ? `. Le solde descend au plus bas fin ${MONTH_LABELS[debit.lowestMonth - 1].toLowerCase()} (${formatCurrency0(debit.lowestBalance)})` : '')
+      + `, régularisation de ${formatCurrency0(debit.regularization)} en votre faveur en fin d'année (${evolution.basis?.label ?? VALUE_BASES.nominal}, coût carbone exclu).`;
+
+    const table = document.getElementById('monthly-table');
+    table.querySelector('thead').innerHTML = `
+      <tr>
+        <th>Mois</th>
+        ${labels.map((label) => `<th>${escapeHtml(label)}</th>`).join('')}
+        <th>Total</th>
+        <th>Consommation</th>
+        <th>Solde après mensualité</th>
+      </tr>
+    `;
+    let balance = 0;
+    table.querySelector('tbody').innerHTML = row.months.map((month) => {
+      balance += debit.amount - month.variableTotal - month.fixedTotal;
+      return `
+        <tr>
+          <td><strong>${month.label}</strong></td>
+          ${month.details.map((d) => `<td>${formatCurrency0(d.cost)}</td>`).join('')}
+          <td><strong>${formatCurrency0(month.total)}</strong></td>
+          <td>${formatNumber(month.kwhTotal, 0)} kWh</td>
+          <td class="${balance < 0 ? 'economy-negative' : ''}">${formatCurrency0(balance)}</td>
+        </tr>
+      `;
+    }).join('');
+    table.querySelector('tfoot').innerHTML = `
+      <tr>
+        <th scope="row">${row.year}</th>
+        ${row.details.map((d) => `<td>${formatCurrency0(d.cost)}</td>`).join('')}
+        <td><strong>${formatCurrency0(row.total)}</strong></td>
+        <td>${formatNumber(row.kwhTotal, 0)} kWh</td>
+        <td></td>
+      </tr>
+    `;
+  }
+
+  monthlySet.addEventListener('change', updateMonthly);
+  monthlyYear.addEventListener('change', updateMonthly);
+
+  // Sensitivity of the last calculation: tornado chart of the cumulative cost (or of the savings of a
+  // scenario) and break-even values of a scenario against the base
+  const sensitivitySection = document.getElementById('sensitivity-section');
+  const sensitivityScenario = document.getElementById('sensitivity-scenario');
+  const sensitivitySummary = document.getElementById('sensitivity-summary');
+  const breakEvenEnergy = document.getElementById('break-even-energy');
+  const breakEvenParameter = document.getElementById('break-even-parameter');
+  const breakEvenResult = document.getElementById('break-even-result');
+
+  // Index of the analysed scenario, null for the cost of the base
+  function sensitivityScenarioIndex() {
+    return sensitivityScenario.value === '' ? null : Number(sensitivityScenario.value);
+  }
+
+  // Spreads of the tornado chart; `error` is set when one is invalid.
+  function readSensitivitySettings() {
+    const read = (id) => parseNumber(document.getElementById(id).value);
+    const settings = { ratePts: read('sensitivity-rate'), pricePct: read('sensitivity-price'), horizonYears: read('sensitivity-horizon') };
+    if (!(settings.ratePts >= 0 && settings.ratePts <= 20)) return { settings, error: 'Écart sur les taux invalide (entre 0 et 20 points).' };
+    if (!(settings.pricePct >= 0 && settings.pricePct <= 90)) return { settings, error: 'Écart sur les prix invalide (entre 0 et 90 %).' };
+    if (!(Number.isInteger(settings.horizonYears) && settings.horizonYears >= 0 && settings.horizonYears <= 25)) {
+      return { settings, error: 'Écart sur le nombre d\'années invalide (entier entre 0 et 25).' };
     }
+    return { settings, error: null };
+  }
+
+  function updateSensitivity() {
+    if (!lastResults) return;
+    const { simulation, scenarios, base } = lastResults;
+    const scenarioIndex = sensitivityScenarioIndex();
+    breakEvenResult.textContent = '';
+    const { settings, error } = readSensitivitySettings();
+    if (error) {
+      sensitivitySummary.textContent = error;
+      return;
+    }
+    const analysis = sensitivityAnalysis(simulation, { scenarioIndex, ...settings });
+    const measure = scenarioIndex === null
+      ? 'Coût total cumulé de la base'
+      : `Économie cumulée de « ${scenarios[scenarioIndex].name} » par rapport à la base`;
+    sensitivitySummary.textContent = `${measure} : ${formatCurrency0(analysis.reference)} (${base.basis?.label ?? VALUE_BASES.nominal}). `
+      + 'Chaque barre montre l\'effet d\'une seule hypothèse modifiée, les autres restant inchangées.';
+    drawTornadoChart('sensitivity-chart', 'sensitivity-legend', analysis);
 
-    return computeEvolution({ startYear, years, rows, escalationPctByEnergy: perEnergyEsc });
+    document.getElementById('break-even').hidden = scenarioIndex === null;
+    const selected = breakEvenEnergy.value;
+    breakEvenEnergy.innerHTML = '';
+    simulationEnergies(simulation, scenarioIndex).forEach((key) => breakEvenEnergy.appendChild(new Option(ENERGY_LABELS[key], key)));
+    if ([...breakEvenEnergy.options].some((o) => o.value === selected)) breakEvenEnergy.value = selected;
   }
 
+  // Called after each calculation. The analysed scenario is kept while the scenarios stay the same,
+  // otherwise the first scenario (or the base) is analysed.
+  function showSensitivity() {
+    const selected = sensitivityScenario.value;
+    const previousCount = sensitivityScenario.options.length;
+    sensitivityScenario.innerHTML = '';
+    sensitivityScenario.appendChild(new Option('Coût total de la base', ''));
+    lastResults.scenarios.forEach((s, i) => sensitivityScenario.appendChild(new Option(`Économie de « ${s.name} »`, String(i))));
+    if (sensitivityScenario.options.length === previousCount) sensitivityScenario.value = selected;
+    else sensitivityScenario.value = lastResults.scenarios.length ? '0' : '';
+    sensitivitySection.hidden = false;
+    updateSensitivity();
+  }
+
+  sensitivityScenario.addEventListener('change', updateSensitivity);
+  ['sensitivity-rate', 'sensitivity-price', 'sensitivity-horizon'].forEach((id) => {
+    document.getElementById(id).addEventListener('input', updateSensitivity);
+  });
+  breakEvenEnergy.addEventListener('change', () => { breakEvenResult.textContent = ''; });
+  breakEvenParameter.addEventListener('change', () => { breakEvenResult.textContent = ''; });
+
+  document.getElementById('solve-break-even').addEventListener('click', () => {
+    const scenarioIndex = sensitivityScenarioIndex();
+    if (!lastResults || scenarioIndex === null) return;
+    const { simulation, scenarios, base } = lastResults;
+    const energy = breakEvenEnergy.value;
+    const parameter = breakEvenParameter.value;
+    const name = scenarios[scenarioIndex].name;
+    const savings = cumulativeTotal(base) - cumulativeTotal(scenarios[scenarioIndex].evolution);
+    const { current, value } = solveBreakEven(simulation, { scenarioIndex, energy, parameter });
+    const [min, max] = BREAK_EVEN_RANGES[parameter];
+    const describe = (v) => {
+      if (parameter === 'rate') return `une évolution du prix ${ENERGY_LABELS[energy]} de ${formatPercent(v)}/an`;
+      const row = [simulation.base, simulation.scenarios[scenarioIndex]].flatMap((set) => set.rows).find((r) => r.energy === energy);
+      return `un prix de départ ${ENERGY_LABELS[energy]} de ${formatNumber(row.unitPrice * row.kwhPerUnit * v)} €/${row.unitLabel}`;
+    };
+
+    if (value === null) {
+      const range = parameter === 'rate' ? `entre ${formatPercent(min)} et ${formatPercent(max)}/an` : `entre ${formatNumber(min)} et ${formatNumber(max)} fois le prix saisi`;
+      breakEvenResult.textContent = `Aucun seuil ${range} : « ${name} » reste ${savings >= 0 ? 'moins cher' : 'plus cher'} que la base.`;
+      return;
+    }
+    const change = parameter === 'rate'
+      ? `hypothèse actuelle ${formatPercent(current)}/an`
+      : `${value >= 1 ? '+' : ''}${formatPercent((value - 1) * 100)} par rapport au prix saisi`;
+    breakEvenResult.textContent = `« ${name} » et la base coûtent autant avec ${describe(value)} (${change}). `
+      + `« ${name} » est ${savings >= 0 ? 'moins cher' : 'plus cher'} que la base tant que ce paramètre reste ${value > current ? 'inférieur' : 'supérieur'} au seuil.`;
+  });
+
+  // Switching the basis redraws the results on screen
+  valueBasisSelect.addEventListener('change', () => {
+    if (lastResults) calculateAllBtn.click();
+  });
+
   calculateAllBtn.addEventListener('click', () => {
-    // Calcul du scénario de base (toujours requis)
-    const baseEvolution = calculateBaseScenario();
-    if (!baseEvolution) return;
-    
-    // Vérifier si le scénario est activé
-    const isScenarioEnabled = enableScenarioCheckbox.checked;
-    
-    if (isScenarioEnabled) {
-      // Calcul du scénario alternatif
-      const scenarioEvolution = calculateScenario();
-      if (scenarioEvolution) {
-        // Afficher la comparaison si le scénario est valide
-        renderComparisonResults(baseEvolution, scenarioEvolution);
+    const state = collectState();
+    const { simulation, errors } = prepareSimulation(state);
+    if (errors.length) {
+      alert(errors[0].message);
+      return;
+    }
+
+    let history = null;
+    if (!simulation.scenarios.length) {
+      const { analysis, error: historyError } = readBillHistory();
+      if (historyError) {
+        alert(historyError);
+        return;
       }
-      // Si scenarioEvolution est null, l'alerte a déjà été affichée par calculateScenario()
-    } else {
-      // Scénario non activé : afficher seulement les résultats de base
-      renderBaseResults(baseEvolution);
+      history = analysis?.totals;
     }
-    
+
+    const { base, scenarios, monteCarlo } = runSimulation(simulation);
+    if (scenarios.length) renderComparisonResults(base, scenarios, monteCarlo);
+    else renderBaseResults(base, monteCarlo, history);
+    // Inputs and assumptions as used by this calculation, for the report
+    lastResults = { base, scenarios, monteCarlo, simulation, inputs: { state, ...simulation } };
+    showSensitivity();
+    showMonthly();
+
     exportBtn.disabled = false;
+    exportJsonBtn.disabled = false;
+    reportBtn.disabled = false;
   });
 
   exportBtn.addEventListener('click', () => {
-    alert("L'export CSV sera implémenté");
+    if (!lastResults) return;
+    const { base, scenarios, monteCarlo } = lastResults;
+    const csv = scenarios.length ? buildComparisonCsv(base, scenarios, monteCarlo) : buildBaseCsv(base, monteCarlo);
+    const suffix = scenarios.length ? 'comparaison' : 'base';
+    downloadFile(`facture-energie-${base.rows[0].year}-${suffix}.csv`, csv, 'text/csv;charset=utf-8');
   });
+
+  // Client report: inputs and assumptions of the last calculation, then a copy of the results on screen.
+  // The print stylesheet only shows the report while it is being printed.
+  const report = document.getElementById('report');
+
+  function buildReport() {
+    const { base, scenarios, monteCarlo, inputs } = lastResults;
+    const { state, escalationPctByEnergy, trajectoryByEnergy, climate } = inputs;
+    const firstYear = base.rows[0].year;
+    const lastYear = base.rows[base.rows.length - 1].year;
+    const date = new Date().toLocaleDateString('fr-FR', { day: 'numeric', month: 'long', year: 'numeric' });
+
+    const sets = [
+      { name: 'Scénario de base', rows: state.baseRows },
+      ...(scenarios.length ? state.scenarios : []).map((scenario) => ({ ...scenario, name: scenario.name || 'Scénario' })),
+    ];
+    const setsHtml = sets.map((set, index) => {
+      const derived = ((index > 0 ? inputs.scenarios[index - 1] : inputs.base)?.rows ?? []).filter((row) => row.derivation);
+      const heating = derived.length
+        ? `<p>Chauffage : ${derived.map((row) => `${row.derivation} = ${formatNumber(row.kwh, 0)} kWh ${ENERGY_LABELS[row.energy]} à ${formatNumber(row.unitPrice, 4)} €/kWh`).join(' ; ')}.</p>`
+        : '';
+      const equipment = (index > 0 ? inputs.scenarios[index - 1] : inputs.base)?.equipment;
+      const equipmentText = equipment
+        ? `<p>Équipements : ${[
+          equipment.maintenance ? `entretien ${formatCurrency0(equipment.maintenance)}/an` : '',
+          equipment.sweeping ? `ramonage ${formatCurrency0(equipment.sweeping)}/an` : '',
+          equipment.replacement ? `remplacement ${formatCurrency0(equipment.replacement.cost)} en ${equipment.replacement.year}` : '',
+          equipment.residualValue ? `valeur résiduelle ${formatCurrency0(equipment.residualValue)} en fin de période` : '',
+        ].filter(Boolean).join(', ')} (coûts indexés de ${formatPercent(equipment.escalationPct)}/an).</p>`
+        : '';
+      const pv = index > 0 ? inputs.scenarios[index - 1]?.pv : null;
+      const solar = pv
+        ? `<p>Photovoltaïque ${formatNumber(pv.powerKwc, 1)} kWc, ${formatNumber(pv.yieldKwhPerKwc, 0)} kWh/kWc/an (dégradation ${formatPercent(pv.degradationPct)}/an),`
+          + ` ${formatPercent(pv.selfConsumptionPct)} autoconsommés, surplus racheté ${formatNumber(pv.feedInTariff, 4)} €/kWh (${formatPercent(pv.feedInEscalationPct)}/an).</p>`
+        : '';
+      const investment = set.investment?.investment
+        ? `<p>Investissement ${formatCurrency0(set.investment.investment)}, aides ${formatCurrency0((set.investment.subsidyMpr ?? 0) + (set.investment.subsidyCee ?? 0))}${set.investment.loanAmount ? `, prêt ${formatCurrency0(set.investment.loanAmount)}` : ''}.</p>`
+        : '';
+      return `<h3>${escapeHtml(set.name)}</h3>${reportRowsTable(set.rows)}${heating}${equipmentText}${solar}${investment}`;
+    }).join('');
+
+    const usedEnergies = [...new Set([base, ...scenarios.map((s) => s.evolution)].flatMap((e) => e.rows[0].details.map((d) => d.energy)))]
+      .filter((key) => key !== PV_SURPLUS.energy);
+    const assumptionRows = usedEnergies.map((key) => `
+      <tr>
+        <td>${ENERGY_LABELS[key]}</td>
+        <td>${escapeHtml(describeTrajectory(trajectoryByEnergy[key], escalationPctByEnergy[key]))}</td>
+        <td>${state.escalation[key] === null || state.escalation[key] === undefined ? 'valeur par défaut' : 'saisie'}</td>
+        <td>${formatNumber(climate.emissionFactorByEnergy[key], 3)} kgCO₂e/kWh</td>
+      </tr>
+    `).join('');
+    const notes = [
+      `Montants exprimés en ${base.basis?.label ?? VALUE_BASES.nominal}.`,
+      climate.electricityDeclinePct ? `Facteur d'émission de l'électricité en baisse de ${formatPercent(climate.electricityDeclinePct)}/an.` : null,
+      climate.carbonPrice ? `Prix du carbone ${formatCurrency0(climate.carbonPrice)}/tCO₂e (${formatPercent(climate.carbonEscalationPct)}/an), ${climate.includeCarbonCost ? 'inclus' : 'non inclus'} dans les totaux.` : null,
+      inputs.monthly ? `Mode mensuel : prix de chaque année appliqués à partir du 1er ${MONTH_LABELS[inputs.monthly.changeMonth - 1].toLowerCase()}, `
+        + `mensualisation ${firstYear} de ${formatCurrency0(directDebitPlan(base.rows[0]).amount)} par mois pour la base.` : null,
+      monteCarlo ? `Mode probabiliste : ${formatNumber(monteCarlo.runs, 0)} simulations (graine ${monteCarlo.seed}), loi ${inputs.monteCarlo.distributions[usedEnergies[0]]?.type === 'triangular' ? 'triangulaire' : 'normale'}, corrélation des énergies fossiles ${formatNumber(inputs.monteCarlo.correlation, 2)}.` : null,
+    ].filter(Boolean);
+
+    // Copy of the results, without the interactive parts and with unique ids left to the page
+    const results = document.getElementById(scenarios.length ? 'comparison-results-section' : 'base-results-section').cloneNode(true);
+    results.querySelectorAll('.chart-actions, .chart-tooltip, .chart-hit, [hidden]').forEach((el) => el.remove());
+    [results, ...results.querySelectorAll('[id]')].forEach((el) => el.removeAttribute('id'));
+    results.querySelectorAll('[tabindex]').forEach((el) => el.removeAttribute('tabindex'));
+    results.className = 'report-results';
+
+    report.innerHTML = `
+      <header class="report-header">
+        <h1>${escapeHtml(state.name || 'Simulation de facture énergétique')}</h1>
+        <p>Rapport du ${date} · projection ${firstYear}–${lastYear}</p>
+      </header>
+      <section class="report-block">
+        <h2>Consommations saisies</h2>
+        ${setsHtml}
+      </section>
+      <section class="report-block">
+        <h2>Hypothèses retenues</h2>
+        <table>
+          <thead><tr><th>Énergie</th><th>Évolution des prix</th><th>Origine</th><th>Facteur d'émission</th></tr></thead>
+          <tbody>${assumptionRows}</tbody>
+        </table>
+        ${notes.map((note) => `<p>${escapeHtml(note)}</p>`).join('')}
+      </section>
+    `;
+    report.appendChild(results);
+    report.insertAdjacentHTML('beforeend', '<footer class="report-footer">Simulation indicative établie avec un outil local : les prix futurs sont des hypothèses, pas des prévisions.</footer>');
+  }
+
+  reportBtn.addEventListener('click', () => {
+    if (!lastResults) return;
+    buildReport();
+    document.body.classList.add('report-mode');
+    window.print();
+  });
+
+  window.addEventListener('afterprint', () => {
+    document.body.classList.remove('report-mode');
+  });
+
+  // Chart downloads: standalone SVG, or PNG rendered from it
+  document.querySelectorAll('.chart-actions button').forEach((button) => {
+    button.addEventListener('click', () => {
+      const svg = document.getElementById(button.dataset.chart);
+      const legend = svg.parentElement.querySelector('.chart-legend');
+      const filename = `facture-energie-${button.dataset.chart}.${button.dataset.format}`;
+      if (button.dataset.format === 'svg') downloadFile(filename, exportChartSvg(svg, legend).markup, 'image/svg+xml');
+      else exportChartPng(svg, legend, filename);
+    });
+  });
+
+  exportJsonBtn.addEventListener('click', () => {
+    if (!lastResults) return;
+    const { base, scenarios, monteCarlo } = lastResults;
+    const suffix = scenarios.length ? 'comparaison' : 'base';
+    downloadFile(`facture-energie-${base.rows[0].year}-${suffix}.json`, buildResultsJson(base, scenarios, monteCarlo), 'application/json');
+  });
+
+  // Form as initialised above, before any link or project is applied
+  const defaultState = collectState();
+  loadPermalink();
 });
\ No newline at end of file
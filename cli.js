@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+// Command line: runs saved projects (JSON, one project or a list) or a CSV of dwellings through the
+// engine and prints or writes the results. See USAGE.
+import { readFileSync, realpathSync, writeFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import {
+  migrateProjectState, validateProjectState, parseDwellingsCsv, prepareSimulation, runSimulation,
+  cumulativeTotal, annualGrowthPct, cumulativeEmissions, formatCurrency0, formatPercent, formatNumber,
+  buildSummaryCsv, buildResultsJson, DEFAULT_ENERGY_LIBRARY, setEnergyLibrary, parseEnergyLibrary, isPlainObject,
+} from './engine.js';
+
+const USAGE = `Usage : node cli.js <fichier.json|fichier.csv> [options]
+
+  Fichier JSON : un projet exporté depuis la page, ou une liste de projets.
+  Fichier CSV  : une ligne de consommation par ligne, colonnes
+                 logement;energie;quantite;prix[;unite;abonnement;inflation;annee_depart;annees]
+
+Options :
+  -f, --format <text|csv|json>  format des résultats (text par défaut)
+  -o, --output <fichier>        écrit les résultats dans un fichier au lieu de la sortie standard
+      --start-year <année>      première année des logements du CSV (année en cours par défaut)
+      --years <n>               durée de projection des logements du CSV (10 par défaut)
+      --energies <fichier.json> bibliothèque d'énergies exportée depuis la page, pour le CSV et les
+                                projets qui n'ont pas la leur (bibliothèque par défaut sinon)
+  -h, --help                    affiche cette aide
+`;
+
+const FORMATS = ['text', 'csv', 'json'];
+
+// Project states of an input file; `error` is set when the file cannot be read as projects.
+// `energies` is the library of the CSV dwellings and of the projects saved without one.
+export function readProjects(text, { csv = false, startYear, years, energies = null } = {}) {
+  if (csv) {
+    setEnergyLibrary(energies ?? DEFAULT_ENERGY_LIBRARY);
+    return parseDwellingsCsv(text, { startYear, years });
+  }
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { projects: [], error: 'JSON illisible' };
+  }
+  const states = (Array.isArray(data) ? data : [data]).map(migrateProjectState)
+    .map((state) => (energies && isPlainObject(state) && state.energies === undefined ? { ...state, energies } : state));
+  for (const [i, state] of states.entries()) {
+    const errors = validateProjectState(state);
+    if (errors.length) return { projects: [], error: `projet ${i + 1} : ${errors.join(' ').replace(/\.$/, '')}` };
+  }
+  return { projects: states, error: null };
+}
+
+// Results of each project ({ name, base, scenarios, monteCarlo }) and the errors of those that cannot be computed
+export function runProjects(projects) {
+  const results = [];
+  const errors = [];
+  projects.forEach((state, i) => {
+    const name = state.name || `Projet ${i + 1}`;
+    const { simulation, errors: inputErrors } = prepareSimulation(state);
+    if (inputErrors.length) errors.push(...inputErrors.map((e) => `${name} : ${e.message}`));
+    else results.push({ name, ...runSimulation(simulation) });
+  });
+  return { results, errors };
+}
+
+function formatText(results) {
+  return results.map(({ name, base, scenarios }) => {
+    const first = base.rows[0];
+    const last = base.rows[base.rows.length - 1];
+    const lines = [
+      `${name} (${first.year}–${last.year}, ${base.basis?.label ?? 'euros courants'})`,
+      `  Base : ${formatCurrency0(cumulativeTotal(base))} cumulés, ${formatCurrency0(first.total)} → ${formatCurrency0(last.total)}`
+        + ` (${formatPercent(annualGrowthPct(base))}/an), ${formatNumber(cumulativeEmissions(base), 1)} tCO₂e`,
+    ];
+    scenarios.forEach((s) => {
+      const saving = cumulativeTotal(base) - cumulativeTotal(s.evolution);
+      lines.push(`  ${s.name} : ${formatCurrency0(cumulativeTotal(s.evolution))} cumulés, économie ${formatCurrency0(saving)}`
+        + `, ${formatNumber(cumulativeEmissions(s.evolution), 1)} tCO₂e`
+        + (s.investment ? `, retour sur investissement ${s.investment.paybackYear ?? 'non atteint'}` : ''));
+    });
+    return lines.join('\n');
+  }).join('\n\n') + '\n';
+}
+
+export function formatResults(results, format) {
+  if (format === 'csv') return buildSummaryCsv(results);
+  if (format === 'json') {
+    return JSON.stringify(results.map(({ name, base, scenarios, monteCarlo }) => ({
+      name,
+      ...JSON.parse(buildResultsJson(base, scenarios, monteCarlo)),
+    })), null, 2) + '\n';
+  }
+  return formatText(results);
+}
+
+function main(argv) {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', short: 'f', default: 'text' },
+        output: { type: 'string', short: 'o' },
+        'start-year': { type: 'string', default: String(new Date().getFullYear()) },
+        years: { type: 'string', default: '10' },
+        energies: { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+  const { values, positionals } = args;
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (positionals.length !== 1 || !FORMATS.includes(values.format)) {
+    process.stderr.write(USAGE);
+    return 1;
+  }
+
+  const read = (file) => {
+    try {
+      return readFileSync(file, 'utf8');
+    } catch (error) {
+      process.stderr.write(`${file} : lecture impossible (${error.code ?? error.message}).\n`);
+      return null;
+    }
+  };
+  let energies = null;
+  if (values.energies) {
+    const libraryText = read(values.energies);
+    if (libraryText === null) return 1;
+    const { library, error } = parseEnergyLibrary(libraryText);
+    if (error) {
+      process.stderr.write(`${values.energies} : ${error}.\n`);
+      return 1;
+    }
+    energies = library;
+  }
+
+  const [file] = positionals;
+  const text = read(file);
+  if (text === null) return 1;
+  const { projects, error } = readProjects(text, {
+    csv: extname(file).toLowerCase() === '.csv',
+    startYear: Number(values['start-year']),
+    years: Number(values.years),
+    energies,
+  });
+  if (error) {
+    process.stderr.write(`${file} : ${error}.\n`);
+    return 1;
+  }
+
+  const { results, errors } = runProjects(projects);
+  errors.forEach((message) => process.stderr.write(`${message}\n`));
+  if (results.length) {
+    const output = formatResults(results, values.format);
+    if (values.output) writeFileSync(values.output, output);
+    else process.stdout.write(output);
+  }
+  return errors.length ? 1 : 0;
+}
+
+// Run only when started as a command, the tests import the functions above
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+  process.exitCode = main(process.argv.slice(2));
+}
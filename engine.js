@@ -0,0 +1,2327 @@
+// Calculation engine: energy data, conversions, projections, scenarios and exports. Pure functions with
+// no DOM access, shared by the page (app.js), the command line (cli.js) and the tests.
+
+// Energy escalation presets (% per year). Values are editable by the user via override.
+export const ENERGY_ESCALATION_PRESETS = {
+  electricite: 3.0,
+  gaz: 3.0,
+  fioul: 3,
+  granule: 2,
+  plaquette: 2,
+  propane: 3,
+};
+
+// Chart colour of each energy
+export const ENERGY_COLORS = {
+  electricite: '#60a5fa',
+  gaz: '#22c55e',
+  fioul: '#f59e0b',
+  granule: '#a78bfa',
+  plaquette: '#14b8a6',
+  propane: '#ef4444',
+};
+
+export const ENERGY_LABELS = {
+  electricite: 'Électricité',
+  gaz: 'Gaz',
+  fioul: 'Fioul',
+  granule: 'Granulé',
+  plaquette: 'Plaquette',
+  propane: 'Propane',
+};
+
+// Emission factors (kgCO₂e per kWh, ADEME Base Carbone, heating uses). Values are editable by the user.
+export const EMISSION_FACTOR_PRESETS = {
+  electricite: 0.079,
+  gaz: 0.227,
+  fioul: 0.324,
+  granule: 0.030,
+  plaquette: 0.024,
+  propane: 0.272,
+};
+
+// Climate settings of a projection: emission factors, yearly decline (%) of the electricity mix factor,
+// and a carbon price (€/tCO₂e, escalating) only added to the totals when includeCarbonCost is set.
+export const DEFAULT_CLIMATE = {
+  emissionFactorByEnergy: EMISSION_FACTOR_PRESETS,
+  electricityDeclinePct: 0,
+  carbonPrice: 0,
+  carbonEscalationPct: 0,
+  includeCarbonCost: false,
+};
+
+// Editable conversion factors used to turn native quantities into kWh (lower heating values)
+export const CONVERSION_DEFAULTS = {
+  gazKwhPerM3: 11.2,
+  fioulKwhPerLitre: 9.96,
+  propaneKwhPerKg: 12.8,
+  propaneKgPerLitre: 0.51,
+  granuleKwhPerKg: 4.6,
+  plaquetteMoisturePct: 30,
+  plaquetteKgPerMap: 250,
+};
+
+export const CONVERSION_LABELS = {
+  gazKwhPerM3: 'Gaz : coefficient de conversion (kWh/m³)',
+  fioulKwhPerLitre: 'Fioul : PCI (kWh/L)',
+  propaneKwhPerKg: 'Propane : PCI (kWh/kg)',
+  propaneKgPerLitre: 'Propane : masse volumique (kg/L)',
+  granuleKwhPerKg: 'Granulé : PCI (kWh/kg)',
+  plaquetteMoisturePct: 'Plaquette : humidité sur brut (%)',
+  plaquetteKgPerMap: 'Plaquette : masse d\'un MAP (kg)',
+};
+
+// Lower heating value of wood chips (kWh per kg as delivered) for a moisture content on wet basis
+export function plaquetteKwhPerKg(moisturePct) {
+  const h = moisturePct / 100;
+  return 5.1 * (1 - h) - 0.68 * h;
+}
+
+// Units in which each energy can be entered; kwhPerUnit reads the conversion factors.
+export const KWH_UNIT = { id: 'kwh', label: 'kWh', kwhPerUnit: () => 1 };
+export const ENERGY_UNITS = {
+  electricite: [KWH_UNIT],
+  gaz: [KWH_UNIT, { id: 'm3', label: 'm³', kwhPerUnit: (c) => c.gazKwhPerM3 }],
+  fioul: [KWH_UNIT, { id: 'l', label: 'L', kwhPerUnit: (c) => c.fioulKwhPerLitre }],
+  granule: [
+    KWH_UNIT,
+    { id: 'kg', label: 'kg', kwhPerUnit: (c) => c.granuleKwhPerKg },
+    { id: 't', label: 't', kwhPerUnit: (c) => c.granuleKwhPerKg * 1000 },
+  ],
+  plaquette: [
+    KWH_UNIT,
+    { id: 't', label: 't', kwhPerUnit: (c) => plaquetteKwhPerKg(c.plaquetteMoisturePct) * 1000 },
+    { id: 'map', label: 'MAP', kwhPerUnit: (c) => plaquetteKwhPerKg(c.plaquetteMoisturePct) * c.plaquetteKgPerMap },
+  ],
+  propane: [
+    KWH_UNIT,
+    { id: 'kg', label: 'kg', kwhPerUnit: (c) => c.propaneKwhPerKg },
+    { id: 'l', label: 'L', kwhPerUnit: (c) => c.propaneKwhPerKg * c.propaneKgPerLitre },
+  ],
+};
+
+export function findUnit(energy, unitId, energies = ACTIVE_ENERGIES) {
+  return (energies.units[energy] ?? [KWH_UNIT]).find((u) => u.id === unitId) ?? KWH_UNIT;
+}
+
+// Energy library: the energies added to the six above. Each has a label, a chart colour, a default price
+// (€ per native unit, prefilled in new rows), a default escalation (%/an), an emission factor (kgCO₂e/kWh)
+// and optionally a native unit besides kWh. Users edit their library on the page, save it and share it
+// with their projects (state.energies). The tables above describe the active library, the one shown on
+// the page; a calculation reads the tables of its own project (see energyTables).
+const CORE_ENERGIES = Object.keys(ENERGY_LABELS);
+const ENERGY_ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+const MARKUP_CHARACTERS = /[<>&"]/;
+
+export const DEFAULT_ENERGY_LIBRARY = [
+  { id: 'reseau_chaleur', label: 'Réseau de chaleur', color: '#f472b6', unitPrice: 0.11, escalationPct: 2.5, emissionFactor: 0.101, unit: null },
+  { id: 'buches', label: 'Bûches', color: '#b45309', unitPrice: 85, escalationPct: 2, emissionFactor: 0.030, unit: { id: 'stere', label: 'stère', kwhPerUnit: 1700 } },
+  { id: 'solaire', label: 'Solaire (autoconsommation)', color: '#facc15', unitPrice: 0, escalationPct: 0, emissionFactor: 0.044, unit: null },
+  { id: 'biogaz', label: 'Biogaz', color: '#84cc16', unitPrice: 0.13, escalationPct: 3, emissionFactor: 0.044, unit: null },
+];
+
+// Default price of the library energies in their native unit
+export const ENERGY_DEFAULT_PRICES = {};
+
+let activeLibrary = [];
+
+export function isCoreEnergy(id) {
+  return CORE_ENERGIES.includes(id);
+}
+
+// Lookup tables of the core energies and those of a (valid) library, in the shape of ACTIVE_ENERGIES
+export function energyTables(library = DEFAULT_ENERGY_LIBRARY) {
+  const core = (table) => Object.fromEntries(CORE_ENERGIES.map((id) => [id, table[id]]));
+  const tables = {
+    labels: core(ENERGY_LABELS),
+    colors: core(ENERGY_COLORS),
+    escalation: core(ENERGY_ESCALATION_PRESETS),
+    emissionFactors: core(EMISSION_FACTOR_PRESETS),
+    units: core(ENERGY_UNITS),
+    defaultPrices: {},
+  };
+  library.forEach((energy) => {
+    tables.labels[energy.id] = energy.label;
+    tables.colors[energy.id] = energy.color;
+    tables.escalation[energy.id] = energy.escalationPct;
+    tables.emissionFactors[energy.id] = energy.emissionFactor;
+    tables.defaultPrices[energy.id] = energy.unitPrice ?? null;
+    tables.units[energy.id] = energy.unit
+      ? [{ id: energy.unit.id, label: energy.unit.label, kwhPerUnit: () => energy.unit.kwhPerUnit }, KWH_UNIT]
+      : [KWH_UNIT];
+  });
+  return tables;
+}
+
+// Tables of the active library, the defaults of the functions that take an energy library
+const ACTIVE_ENERGIES = {
+  labels: ENERGY_LABELS,
+  colors: ENERGY_COLORS,
+  escalation: ENERGY_ESCALATION_PRESETS,
+  emissionFactors: EMISSION_FACTOR_PRESETS,
+  units: ENERGY_UNITS,
+  defaultPrices: ENERGY_DEFAULT_PRICES,
+};
+
+// Make a (valid) library the active one: its energies replace the previous library in every table.
+export function setEnergyLibrary(library) {
+  const tables = energyTables(library);
+  Object.entries(ACTIVE_ENERGIES).forEach(([name, table]) => {
+    Object.keys(table).filter((id) => !isCoreEnergy(id)).forEach((id) => delete table[id]);
+    Object.assign(table, tables[name]);
+  });
+  activeLibrary = library;
+}
+
+setEnergyLibrary(DEFAULT_ENERGY_LIBRARY);
+
+export function energyLibrary() {
+  return activeLibrary;
+}
+
+// Library of a project state; projects saved before libraries existed use the default one.
+export function projectEnergies(state) {
+  return state.energies ?? DEFAULT_ENERGY_LIBRARY;
+}
+
+// Identifier for a new library entry (energy or unit) from its label, unique among `taken`
+export function energyIdFromLabel(label, taken = []) {
+  const base = normalizeText(label).replace(/[^a-z0-9]+/g, '_').replace(/^[^a-z]+|_+$/g, '') || 'energie';
+  let id = base;
+  for (let i = 2; taken.includes(id) || isCoreEnergy(id) || id === 'kwh'; i += 1) id = `${base}_${i}`;
+  return id;
+}
+
+// Check a library (the page's or a project's). Returns a list of messages, empty when valid.
+export function validateEnergyLibrary(library, path = 'energies') {
+  if (!Array.isArray(library)) return [`${path} : liste d'énergies attendue.`];
+  const errors = [];
+  const ids = [];
+  library.forEach((energy, i) => {
+    const number = `Énergie n° ${i + 1}`;
+    if (!isPlainObject(energy)) {
+      errors.push(`${number} : énergie invalide.`);
+      return;
+    }
+    if (typeof energy.id !== 'string' || !ENERGY_ID_PATTERN.test(energy.id)) {
+      errors.push(`${number} : identifiant invalide (minuscules, chiffres et _).`);
+    } else if (isCoreEnergy(energy.id) || ids.includes(energy.id)) {
+      errors.push(`${number} : identifiant « ${energy.id} » déjà utilisé.`);
+    }
+    ids.push(energy.id);
+    // Labels end up in the page markup, they must not contain any
+    const name = typeof energy.label === 'string' && energy.label.trim() && !MARKUP_CHARACTERS.test(energy.label) ? energy.label : null;
+    if (!name) errors.push(`${number} : nom attendu, sans < > & ".`);
+    const label = name ?? number;
+    if (typeof energy.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(energy.color)) errors.push(`${label} : couleur #rrggbb attendue.`);
+    if (!isOptionalNumber(energy.unitPrice) || energy.unitPrice < 0) errors.push(`${label} : prix par défaut invalide.`);
+    if (!(Number.isFinite(energy.escalationPct) && energy.escalationPct >= -50 && energy.escalationPct <= 100)) {
+      errors.push(`${label} : inflation par défaut invalide (entre -50 et 100).`);
+    }
+    if (!(Number.isFinite(energy.emissionFactor) && energy.emissionFactor >= 0)) errors.push(`${label} : facteur d'émission invalide.`);
+    const { unit } = energy;
+    if (unit !== null && unit !== undefined && (!isPlainObject(unit) || typeof unit.id !== 'string' || !ENERGY_ID_PATTERN.test(unit.id)
+      || unit.id === 'kwh' || typeof unit.label !== 'string' || !unit.label.trim() || MARKUP_CHARACTERS.test(unit.label) || !(Number.isFinite(unit.kwhPerUnit) && unit.kwhPerUnit > 0))) {
+      errors.push(`${label} : unité invalide (nom et kWh par unité positifs attendus).`);
+    }
+  });
+  return errors;
+}
+
+// Read a library file exported from the page (or a project's `energies`). Returns { library, error }.
+export function parseEnergyLibrary(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { library: null, error: 'JSON illisible' };
+  }
+  const library = isPlainObject(data) ? data.energies : data;
+  const errors = validateEnergyLibrary(library);
+  if (errors.length) return { library: null, error: errors[0].replace(/\.$/, '') };
+  return { library, error: null };
+}
+
+// Convert a row entered in a native unit (quantity, €/unit) into kWh and €/kWh, keeping the native values.
+// The row carries the label and colour of its energy in `energies`, for the results drawn from it.
+export function toKwhRow(row, conversions = CONVERSION_DEFAULTS, energies = ACTIVE_ENERGIES) {
+  const unit = findUnit(row.energy, row.unit, energies);
+  const kwhPerUnit = unit.kwhPerUnit({ ...CONVERSION_DEFAULTS, ...conversions });
+  return {
+    ...row,
+    energyLabel: energies.labels[row.energy] ?? row.energy,
+    energyColor: energies.colors[row.energy] ?? '#8884d8',
+    unit: unit.id,
+    unitLabel: unit.label,
+    kwhPerUnit,
+    kwh: row.quantity * kwhPerUnit,
+    unitPrice: row.unitPrice / kwhPerUnit,
+  };
+}
+
+export function parseNumber(input) {
+  if (input === '' || input === null || input === undefined) return NaN;
+  const normalized = String(input).replace(',', '.');
+  return Number(normalized);
+}
+
+export function formatCurrency(value) {
+  return new Intl.NumberFormat('fr-FR', { style: 'currency', currency: 'EUR' }).format(value);
+}
+
+export function formatNumber(value, digits = 4) {
+  return new Intl.NumberFormat('fr-FR', { minimumFractionDigits: 0, maximumFractionDigits: digits }).format(value);
+}
+
+export function formatCurrency0(value) {
+  return new Intl.NumberFormat('fr-FR', { style: 'currency', currency: 'EUR', minimumFractionDigits: 0, maximumFractionDigits: 0 }).format(value);
+}
+
+export function formatPercent(value) {
+  return new Intl.NumberFormat('fr-FR', { minimumFractionDigits: 1, maximumFractionDigits: 1 }).format(value) + '%';
+}
+
+export function cumulativeTotal(evolution) {
+  return evolution.rows.reduce((sum, row) => sum + row.total, 0);
+}
+
+// Cost of owning the equipment in a year: energy bill plus maintenance, replacement and residual value
+export function ownershipCost(row) {
+  return row.total + (row.equipment?.total ?? 0);
+}
+
+export function cumulativeOwnershipCost(evolution) {
+  return evolution.rows.reduce((sum, row) => sum + ownershipCost(row), 0);
+}
+
+export function cumulativeEmissions(evolution) {
+  return evolution.rows.reduce((sum, row) => sum + row.emissionsT, 0);
+}
+
+// Cumulative cost (variable share and abonnement) of each energy, plus the carbon cost when it is part
+// of the totals: [{ key, label, color, cost }] in order of first appearance.
+export function cumulativeByEnergy(evolution) {
+  const totals = {};
+  const firstDetails = {};
+  evolution.rows.forEach((row) => {
+    row.details.forEach((d) => {
+      totals[d.energy] = (totals[d.energy] ?? 0) + d.cost;
+      firstDetails[d.energy] ??= d;
+    });
+  });
+  const items = Object.keys(totals).map((energy) => ({
+    key: energy, label: detailEnergyLabel(firstDetails[energy]), color: detailEnergyColor(firstDetails[energy]), cost: totals[energy],
+  }));
+  const carbon = evolution.rows.reduce((sum, row) => sum + (row.carbonIncluded ? row.carbonCost : 0), 0);
+  if (carbon > 0) items.push({ key: 'carbon', label: 'Coût carbone', color: '#374151', cost: carbon });
+  return items;
+}
+
+// Average yearly growth of the total cost between the first and the last year.
+export function annualGrowthPct(evolution) {
+  const first = evolution.rows[0]?.total ?? 0;
+  const last = evolution.rows[evolution.rows.length - 1]?.total ?? 0;
+  const years = evolution.rows.length - 1;
+  // A single projected year (years = 0) has no growth
+  if (years < 1 || !(first > 0)) return 0;
+  return (Math.pow(last / first, 1 / years) - 1) * 100;
+}
+
+// CSV exports follow French spreadsheet conventions (';' separator, decimal comma, UTF-8 BOM)
+// so the file opens cleanly in Excel / LibreOffice.
+const CSV_SEPARATOR = ';';
+
+function formatCsvNumber(value, digits = 2) {
+  if (!Number.isFinite(value)) return '';
+  return value.toFixed(digits).replace('.', ',');
+}
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(lines) {
+  return '\uFEFF' + lines.map((cells) => cells.map(csvCell).join(CSV_SEPARATOR)).join('\r\n') + '\r\n';
+}
+
+// Year-over-year change of the total for row `index` of an evolution.
+export function yearOverYear(evolutionRows, index) {
+  if (index === 0) return { diff: 0, pct: 0 };
+  const previous = evolutionRows[index - 1].total;
+  const diff = evolutionRows[index].total - previous;
+  return { diff, pct: previous !== 0 ? (diff / previous) * 100 : 0 };
+}
+
+// Column labels for the detail lines, numbered when the same energy appears more than once.
+export function detailLabels(details) {
+  const counts = {};
+  details.forEach((d) => { counts[d.energy] = (counts[d.energy] || 0) + 1; });
+  const seen = {};
+  return details.map((d) => {
+    const label = detailEnergyLabel(d);
+    if (counts[d.energy] === 1) return label;
+    seen[d.energy] = (seen[d.energy] || 0) + 1;
+    return `${label} ${seen[d.energy]}`;
+  });
+}
+
+export const isNativeUnit = (d) => d.unit && d.unit !== 'kwh';
+
+function detailCsvHeaders(details, prefix = '') {
+  return detailLabels(details).flatMap((label, i) => [
+    ...(isNativeUnit(details[i]) ? [`${prefix}${label} - Quantité (${details[i].unitLabel})`, `${prefix}${label} - Prix (€/${details[i].unitLabel})`] : []),
+    `${prefix}${label} - kWh`,
+    `${prefix}${label} - Prix (€/kWh)`,
+    `${prefix}${label} - Part variable (€)`,
+    `${prefix}${label} - Abonnement (€)`,
+    `${prefix}${label} - Coût (€)`,
+  ]);
+}
+
+function detailCsvCells(details) {
+  return details.flatMap((d) => [
+    ...(isNativeUnit(d) ? [formatCsvNumber(d.quantity, 2), formatCsvNumber(d.unitPriceYear * d.kwhPerUnit, 4)] : []),
+    formatCsvNumber(d.kwh, 0),
+    formatCsvNumber(d.unitPriceYear, 4),
+    formatCsvNumber(d.variableCost, 2),
+    formatCsvNumber(d.fixedCostYear, 2),
+    formatCsvNumber(d.cost, 2),
+  ]);
+}
+
+const percentileCsvHeaders = (prefix = '') => [`${prefix}P10 (€)`, `${prefix}P50 (€)`, `${prefix}P90 (€)`];
+const percentileCsvCells = (band) => [formatCsvNumber(band.p10), formatCsvNumber(band.p50), formatCsvNumber(band.p90)];
+
+// First CSV line, naming the basis of the amounts
+const basisCsvLine = (evolution) => ['Montants en', evolution.basis?.label ?? VALUE_BASES.nominal];
+
+export function buildBaseCsv(evolution, monteCarlo = null) {
+  const header = [
+    'Année',
+    'Facture totale (€)',
+    'Part variable (€)',
+    'Part fixe (€)',
+    'Évolution (€)',
+    'Évolution (%)',
+    'Consommation (kWh)',
+    'Émissions (tCO2e)',
+    'Coût carbone (€)',
+    ...(monteCarlo ? percentileCsvHeaders() : []),
+    ...detailCsvHeaders(evolution.rows[0]?.details ?? []),
+  ];
+  const lines = evolution.rows.map((row, index) => {
+    const { diff, pct } = yearOverYear(evolution.rows, index);
+    return [
+      row.year,
+      formatCsvNumber(row.total),
+      formatCsvNumber(row.variableTotal),
+      formatCsvNumber(row.fixedTotal),
+      index > 0 ? formatCsvNumber(diff) : '',
+      index > 0 ? formatCsvNumber(pct, 1) : '',
+      formatCsvNumber(row.kwhTotal, 0),
+      formatCsvNumber(row.emissionsT, 3),
+      formatCsvNumber(row.carbonCost),
+      ...(monteCarlo ? percentileCsvCells(monteCarlo.base.yearly[index]) : []),
+      ...detailCsvCells(row.details),
+    ];
+  });
+  return toCsv([basisCsvLine(evolution), header, ...lines]);
+}
+
+export function buildComparisonCsv(baseEvolution, scenarios, monteCarlo = null) {
+  const header = [
+    'Année',
+    'Base (€)',
+    'Évolution base (%)',
+    'Consommation base (kWh)',
+    'Émissions base (tCO2e)',
+    ...(monteCarlo ? percentileCsvHeaders('Base ') : []),
+    ...scenarios.flatMap((s) => [
+      `${s.name} (€)`,
+      `Économie ${s.name} (€)`,
+      `Évolution ${s.name} (%)`,
+      `Consommation ${s.name} (kWh)`,
+      `Émissions ${s.name} (tCO2e)`,
+      ...(s.investment ? [`Flux de trésorerie ${s.name} (€)`, `Trésorerie cumulée ${s.name} (€)`] : []),
+      ...(monteCarlo ? percentileCsvHeaders(`${s.name} `) : []),
+    ]),
+    ...detailCsvHeaders(baseEvolution.rows[0]?.details ?? [], 'Base - '),
+    ...scenarios.flatMap((s) => detailCsvHeaders(s.evolution.rows[0]?.details ?? [], `${s.name} - `)),
+  ];
+  const lines = baseEvolution.rows.map((baseRow, index) => [
+    baseRow.year,
+    formatCsvNumber(baseRow.total),
+    index > 0 ? formatCsvNumber(yearOverYear(baseEvolution.rows, index).pct, 1) : '',
+    formatCsvNumber(baseRow.kwhTotal, 0),
+    formatCsvNumber(baseRow.emissionsT, 3),
+    ...(monteCarlo ? percentileCsvCells(monteCarlo.base.yearly[index]) : []),
+    ...scenarios.flatMap((s, scenarioIndex) => {
+      const scenarioRow = s.evolution.rows[index];
+      return [
+        formatCsvNumber(scenarioRow.total),
+        formatCsvNumber(baseRow.total - scenarioRow.total),
+        index > 0 ? formatCsvNumber(yearOverYear(s.evolution.rows, index).pct, 1) : '',
+        formatCsvNumber(scenarioRow.kwhTotal, 0),
+        formatCsvNumber(scenarioRow.emissionsT, 3),
+        ...(s.investment ? [formatCsvNumber(s.investment.flows[index].cashFlow), formatCsvNumber(s.investment.flows[index].cumulative)] : []),
+        ...(monteCarlo ? percentileCsvCells(monteCarlo.scenarios[scenarioIndex].yearly[index]) : []),
+      ];
+    }),
+    ...detailCsvCells(baseRow.details),
+    ...scenarios.flatMap((s) => detailCsvCells(s.evolution.rows[index].details)),
+  ]);
+  return toCsv([basisCsvLine(baseEvolution), header, ...lines]);
+}
+
+// One line per project and consumption set, for batch runs: [{ name, base, scenarios }] as returned by
+// runSimulation, plus the project name.
+export function buildSummaryCsv(results) {
+  const header = [
+    'Projet',
+    'Scénario',
+    'Coût total cumulé (€)',
+    'Première année (€)',
+    'Dernière année (€)',
+    'Hausse annuelle moyenne (%)',
+    'Économie cumulée (€)',
+    'Émissions cumulées (tCO2e)',
+  ];
+  const lines = results.flatMap(({ name, base, scenarios }) => [{ name: 'Base', evolution: base }, ...scenarios].map((set) => {
+    const { rows } = set.evolution;
+    return [
+      name,
+      set.name,
+      formatCsvNumber(cumulativeTotal(set.evolution)),
+      formatCsvNumber(rows[0].total),
+      formatCsvNumber(rows[rows.length - 1].total),
+      formatCsvNumber(annualGrowthPct(set.evolution), 1),
+      set.evolution === base ? '' : formatCsvNumber(cumulativeTotal(base) - cumulativeTotal(set.evolution)),
+      formatCsvNumber(cumulativeEmissions(set.evolution), 3),
+    ];
+  }));
+  return toCsv([basisCsvLine(results[0]?.base ?? {}), header, ...lines]);
+}
+
+// Raw (unformatted) results for scripts; scenarios are only present in comparison mode.
+export function buildResultsJson(baseEvolution, scenarios = [], monteCarlo = null) {
+  const payload = {
+    generatedAt: new Date().toISOString(),
+    mode: scenarios.length ? 'comparison' : 'base',
+    valueBasis: baseEvolution.basis ?? makeValueBasis('nominal', {}),
+    base: baseEvolution,
+  };
+  if (scenarios.length) {
+    payload.scenarios = scenarios.map((s) => ({
+      name: s.name,
+      evolution: s.evolution,
+      savings: baseEvolution.rows.map((row, index) => ({
+        year: row.year,
+        savings: row.total - (s.evolution.rows[index]?.total ?? 0),
+      })),
+      investment: s.investment,
+    }));
+  }
+  if (monteCarlo) payload.monteCarlo = monteCarlo;
+  return JSON.stringify(payload, null, 2);
+}
+
+// Project state. A project is a plain JSON snapshot of every input of the page; the page keeps it in
+// localStorage, exports it to a file or a permalink, and the CLI runs it (see prepareSimulation).
+export const PROJECT_SCHEMA_VERSION = 2;
+
+// Numeric inputs of a consumption row (state key = input class)
+export const ROW_NUMERIC_FIELDS = ['quantity', 'unitPrice', 'fixedCost', 'fixedEscalation'];
+
+// Investment inputs of a scenario card: state key -> input class
+export const INVESTMENT_FIELDS = {
+  investment: 'investment',
+  discountRate: 'discount-rate',
+  subsidyMpr: 'subsidy-mpr',
+  subsidyCee: 'subsidy-cee',
+  loanAmount: 'loan-amount',
+  loanRate: 'loan-rate',
+  loanYears: 'loan-years',
+};
+
+function isOptionalNumber(value) {
+  return value === null || value === undefined || (typeof value === 'number' && Number.isFinite(value));
+}
+
+export function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateConsumptionState(consumption, path, errors) {
+  if (consumption === undefined) return;
+  if (!isPlainObject(consumption)) {
+    errors.push(`${path} : objet attendu.`);
+    return;
+  }
+  if (consumption.steps !== undefined && typeof consumption.steps !== 'string') errors.push(`${path}.steps : texte attendu.`);
+  CONSUMPTION_NUMERIC_FIELDS.forEach((field) => {
+    if (!isOptionalNumber(consumption[field])) errors.push(`${path}.${field} : nombre attendu.`);
+  });
+}
+
+// Energy ids and units known to a state: the core energies and those of its library
+function stateEnergyUnits(state) {
+  const library = Array.isArray(state.energies) ? state.energies.filter(isPlainObject) : DEFAULT_ENERGY_LIBRARY;
+  return {
+    ...Object.fromEntries(CORE_ENERGIES.map((id) => [id, ENERGY_UNITS[id].map((u) => u.id)])),
+    ...Object.fromEntries(library.map((energy) => [energy.id, ['kwh', ...(isPlainObject(energy.unit) ? [energy.unit.id] : [])]])),
+  };
+}
+
+function validateRowsState(rows, path, errors, units) {
+  if (!Array.isArray(rows)) {
+    errors.push(`${path} : liste de lignes attendue.`);
+    return;
+  }
+  rows.forEach((row, i) => {
+    if (!isPlainObject(row)) {
+      errors.push(`${path}[${i}] : ligne invalide.`);
+      return;
+    }
+    if (!Object.hasOwn(units, row.energy)) errors.push(`${path}[${i}].energy : énergie inconnue « ${row.energy} ».`);
+    else if (row.unit !== undefined && !units[row.energy].includes(row.unit)) {
+      errors.push(`${path}[${i}].unit : unité « ${row.unit} » inconnue pour ${ENERGY_LABELS[row.energy] ?? row.energy}.`);
+    }
+    ROW_NUMERIC_FIELDS.forEach((field) => {
+      if (!isOptionalNumber(row[field])) errors.push(`${path}[${i}].${field} : nombre attendu.`);
+    });
+    validateConsumptionState(row.consumption, `${path}[${i}].consumption`, errors);
+    if (row.profile !== undefined && !(row.profile in SEASONAL_PROFILES)) errors.push(`${path}[${i}].profile : profil « ${row.profile} » inconnu.`);
+    if (row.profileWeights !== undefined && typeof row.profileWeights !== 'string') errors.push(`${path}[${i}].profileWeights : texte attendu.`);
+    if (row.tariff !== undefined) {
+      if (row.energy !== 'electricite' || !(row.tariff in ELECTRICITY_TARIFFS)) {
+        errors.push(`${path}[${i}].tariff : option tarifaire « ${row.tariff} » invalide.`);
+      } else if (row.periods !== undefined && (!Array.isArray(row.periods) || row.periods.some((p) => !isPlainObject(p)
+        || !tariffPeriod(row.tariff, p.id) || !['share', 'unitPrice', 'escalation'].every((field) => isOptionalNumber(p[field]))))) {
+        errors.push(`${path}[${i}].periods : périodes invalides.`);
+      }
+    }
+  });
+}
+
+function validateHeatingState(heating, path, errors, units) {
+  if (heating === undefined) return;
+  if (!isPlainObject(heating) || !((heating.system ?? 'none') in HEATING_SYSTEMS)
+    || (heating.energy !== undefined && !Object.hasOwn(units, heating.energy))
+    || !Object.keys(HEATING_FIELDS).every((field) => isOptionalNumber(heating[field]))) {
+    errors.push(`${path} : système de chauffage invalide.`);
+  }
+}
+
+function validateEquipmentState(equipment, path, errors) {
+  if (equipment === undefined) return;
+  if (!isPlainObject(equipment)) {
+    errors.push(`${path} : objet attendu.`);
+    return;
+  }
+  Object.keys(EQUIPMENT_FIELDS).forEach((field) => {
+    if (!isOptionalNumber(equipment[field])) errors.push(`${path}.${field} : nombre attendu.`);
+  });
+}
+
+function validateMonteCarloState(monteCarlo, errors, units) {
+  if (!isPlainObject(monteCarlo)) {
+    errors.push('monteCarlo : objet attendu.');
+    return;
+  }
+  if (typeof monteCarlo.enabled !== 'boolean') errors.push('monteCarlo.enabled : booléen attendu.');
+  if (!MONTE_CARLO_DISTRIBUTIONS.includes(monteCarlo.distribution)) errors.push('monteCarlo.distribution : loi inconnue.');
+  ['correlation', 'runs', 'seed'].forEach((field) => {
+    if (!isOptionalNumber(monteCarlo[field])) errors.push(`monteCarlo.${field} : nombre attendu.`);
+  });
+  MONTE_CARLO_SPREAD_FIELDS.forEach((field) => {
+    if (monteCarlo[field] === undefined) return;
+    if (!isPlainObject(monteCarlo[field])) {
+      errors.push(`monteCarlo.${field} : objet attendu.`);
+      return;
+    }
+    Object.entries(monteCarlo[field]).forEach(([key, value]) => {
+      if (!Object.hasOwn(units, key)) errors.push(`monteCarlo.${field}.${key} : énergie inconnue.`);
+      else if (!isOptionalNumber(value)) errors.push(`monteCarlo.${field}.${key} : nombre attendu.`);
+    });
+  });
+}
+
+// Bring a project saved by an older version up to the current schema (unknown shapes are left to the validator).
+// v1 -> v2: rows were entered in kWh only, `kwh` becomes `quantity` with the 'kwh' unit.
+export function migrateProjectState(state) {
+  if (!isPlainObject(state) || state.schemaVersion !== 1) return state;
+  const migrateRows = (rows) => (Array.isArray(rows)
+    ? rows.map((row) => {
+      if (!isPlainObject(row)) return row;
+      const { kwh, ...rest } = row;
+      return { ...rest, unit: 'kwh', quantity: kwh };
+    })
+    : rows);
+  return {
+    ...state,
+    schemaVersion: 2,
+    baseRows: migrateRows(state.baseRows),
+    scenarios: Array.isArray(state.scenarios)
+      ? state.scenarios.map((s) => (isPlainObject(s) ? { ...s, rows: migrateRows(s.rows) } : s))
+      : state.scenarios,
+  };
+}
+
+// Check an imported project against the current schema. Returns a list of messages, empty when valid.
+export function validateProjectState(state) {
+  const errors = [];
+  if (!isPlainObject(state)) return ['Le fichier ne contient pas un projet.'];
+  if (!Number.isInteger(state.schemaVersion) || state.schemaVersion < 1) {
+    errors.push('Version de format absente ou invalide.');
+  } else if (state.schemaVersion > PROJECT_SCHEMA_VERSION) {
+    errors.push(`Version de format ${state.schemaVersion} non prise en charge (maximum ${PROJECT_SCHEMA_VERSION}).`);
+  }
+  if (state.name !== undefined && typeof state.name !== 'string') errors.push('name : texte attendu.');
+  if (!Number.isInteger(state.startYear) || state.startYear < 2000 || state.startYear > 2100) errors.push('startYear : année entre 2000 et 2100 attendue.');
+  if (!Number.isInteger(state.years) || state.years < 0 || state.years > 50) errors.push('years : nombre d\'années entre 0 et 50 attendu.');
+  if (state.energies !== undefined) errors.push(...validateEnergyLibrary(state.energies));
+  const units = stateEnergyUnits(state);
+  if (!isPlainObject(state.escalation)) {
+    errors.push('escalation : objet attendu.');
+  } else {
+    Object.entries(state.escalation).forEach(([key, value]) => {
+      if (!Object.hasOwn(units, key)) errors.push(`escalation.${key} : énergie inconnue.`);
+      else if (!isOptionalNumber(value)) errors.push(`escalation.${key} : nombre attendu.`);
+    });
+  }
+  if (state.trajectories !== undefined) {
+    if (!isPlainObject(state.trajectories)) {
+      errors.push('trajectories : objet attendu.');
+    } else {
+      Object.entries(state.trajectories).forEach(([key, trajectory]) => {
+        if (!Object.hasOwn(units, key)) errors.push(`trajectories.${key} : énergie inconnue.`);
+        else if (!isPlainObject(trajectory) || !TRAJECTORY_MODES.includes(trajectory.mode ?? 'constant')
+          || (trajectory.spec !== undefined && typeof trajectory.spec !== 'string')) {
+          errors.push(`trajectories.${key} : trajectoire invalide.`);
+        }
+      });
+    }
+  }
+  if (state.valuation !== undefined) {
+    if (!isPlainObject(state.valuation) || !(state.valuation.basis in VALUE_BASES)
+      || !isOptionalNumber(state.valuation.cpi) || !isOptionalNumber(state.valuation.discountRate)) {
+      errors.push('valuation : base de calcul invalide.');
+    }
+  }
+  if (state.climate !== undefined) {
+    const { climate } = state;
+    if (!isPlainObject(climate) || (climate.factors !== undefined && !isPlainObject(climate.factors))) {
+      errors.push('climate : objet attendu.');
+    } else {
+      Object.entries(climate.factors ?? {}).forEach(([key, value]) => {
+        if (!Object.hasOwn(units, key)) errors.push(`climate.factors.${key} : énergie inconnue.`);
+        else if (!isOptionalNumber(value)) errors.push(`climate.factors.${key} : nombre attendu.`);
+      });
+      ['electricityDecline', 'carbonPrice', 'carbonEscalation'].forEach((field) => {
+        if (!isOptionalNumber(climate[field])) errors.push(`climate.${field} : nombre attendu.`);
+      });
+      if (climate.includeCarbon !== undefined && typeof climate.includeCarbon !== 'boolean') errors.push('climate.includeCarbon : booléen attendu.');
+    }
+  }
+  if (state.conversions !== undefined) {
+    if (!isPlainObject(state.conversions)) {
+      errors.push('conversions : objet attendu.');
+    } else {
+      Object.entries(state.conversions).forEach(([key, value]) => {
+        if (!(key in CONVERSION_DEFAULTS)) errors.push(`conversions.${key} : facteur inconnu.`);
+        else if (!isOptionalNumber(value)) errors.push(`conversions.${key} : nombre attendu.`);
+      });
+    }
+  }
+  if (state.monteCarlo !== undefined) validateMonteCarloState(state.monteCarlo, errors, units);
+  if (state.monthly !== undefined && (!isPlainObject(state.monthly)
+    || (state.monthly.enabled !== undefined && typeof state.monthly.enabled !== 'boolean') || !isOptionalNumber(state.monthly.changeMonth))) {
+    errors.push('monthly : mode mensuel invalide.');
+  }
+  if (state.billHistory !== undefined) {
+    const { billHistory } = state;
+    if (!isPlainObject(billHistory) || (billHistory.text !== undefined && typeof billHistory.text !== 'string')
+      || (billHistory.method !== undefined && !(billHistory.method in BILL_FIT_METHODS))) {
+      errors.push('billHistory : historique des factures invalide.');
+    }
+  }
+  validateRowsState(state.baseRows, 'baseRows', errors, units);
+  if (!isOptionalNumber(state.heatDemand)) errors.push('heatDemand : nombre attendu.');
+  validateHeatingState(state.baseHeating, 'baseHeating', errors, units);
+  validateEquipmentState(state.baseEquipment, 'baseEquipment', errors);
+  validateConsumptionState(state.baseConsumption, 'baseConsumption', errors);
+  if (typeof state.scenarioEnabled !== 'boolean') errors.push('scenarioEnabled : booléen attendu.');
+  if (!Array.isArray(state.scenarios)) {
+    errors.push('scenarios : liste attendue.');
+  } else {
+    state.scenarios.forEach((scenario, i) => {
+      if (!isPlainObject(scenario)) {
+        errors.push(`scenarios[${i}] : scénario invalide.`);
+        return;
+      }
+      if (typeof scenario.name !== 'string') errors.push(`scenarios[${i}].name : texte attendu.`);
+      if (!isOptionalNumber(scenario.hcShift)) errors.push(`scenarios[${i}].hcShift : nombre attendu.`);
+      validateConsumptionState(scenario.consumption, `scenarios[${i}].consumption`, errors);
+      validateRowsState(scenario.rows, `scenarios[${i}].rows`, errors, units);
+      validateHeatingState(scenario.heating, `scenarios[${i}].heating`, errors, units);
+      validateEquipmentState(scenario.equipment, `scenarios[${i}].equipment`, errors);
+      if (scenario.pv !== undefined) {
+        if (!isPlainObject(scenario.pv)) {
+          errors.push(`scenarios[${i}].pv : objet attendu.`);
+        } else {
+          Object.keys(PV_FIELDS).forEach((field) => {
+            if (!isOptionalNumber(scenario.pv[field])) errors.push(`scenarios[${i}].pv.${field} : nombre attendu.`);
+          });
+        }
+      }
+      if (scenario.investment !== undefined) {
+        if (!isPlainObject(scenario.investment)) {
+          errors.push(`scenarios[${i}].investment : objet attendu.`);
+        } else {
+          Object.keys(INVESTMENT_FIELDS).forEach((field) => {
+            if (!isOptionalNumber(scenario.investment[field])) errors.push(`scenarios[${i}].investment.${field} : nombre attendu.`);
+          });
+        }
+      }
+    });
+  }
+  return errors;
+}
+
+// Price trajectory of an energy, on top of its constant escalation rate:
+// - { mode: 'constant' }: the constant rate every year;
+// - { mode: 'segments', segments: [{ from, to, pct }] }: a rate per period, the constant rate outside them;
+// - { mode: 'table', prices: { [year]: price } }: prices of the energy in any one unit (€/kWh, €/L...), start
+//   year included; each row follows their ratio to the start-year price, the constant rate between / after them.
+export const TRAJECTORY_MODES = ['constant', 'segments', 'table'];
+
+// Parse "2025-2027: 8; 2028+: 2" (a single year is also accepted) into segments.
+export function parseTrajectorySegments(text) {
+  const segments = [];
+  const parts = String(text).split(/[;\n]/).map((p) => p.trim()).filter(Boolean);
+  for (const part of parts) {
+    const match = part.match(/^(\d{4})\s*(?:(?:-|–|à)\s*(\d{4})|(\+))?\s*:\s*(-?[\d.,]+)\s*%?$/);
+    if (!match) return { segments: [], error: `segment « ${part} » illisible (ex: 2025-2027: 8)` };
+    const from = Number(match[1]);
+    const to = match[3] ? Infinity : Number(match[2] ?? match[1]);
+    const pct = parseNumber(match[4]);
+    if (to < from) return { segments: [], error: `période « ${part} » inversée` };
+    if (!Number.isFinite(pct) || pct < -50 || pct > 100) return { segments: [], error: `taux « ${part} » hors de -50 à 100 %` };
+    segments.push({ from, to, pct });
+  }
+  if (!segments.length) return { segments, error: 'aucun segment saisi' };
+  return { segments, error: null };
+}
+
+// Parse "2025: 0.25; 2026: 0.27" into { [year]: price }.
+export function parsePriceTable(text) {
+  const prices = {};
+  const parts = String(text).split(/[;\n]/).map((p) => p.trim()).filter(Boolean);
+  for (const part of parts) {
+    const match = part.match(/^(\d{4})\s*:\s*([\d.,]+)$/);
+    const price = match ? parseNumber(match[2]) : NaN;
+    if (!match || !Number.isFinite(price)) return { prices: {}, error: `prix « ${part} » illisible (ex: 2025: 0.25)` };
+    prices[Number(match[1])] = price;
+  }
+  if (!parts.length) return { prices, error: 'aucun prix saisi' };
+  return { prices, error: null };
+}
+
+// Escalation (%) applied when moving into `year`.
+export function escalationForYear(trajectory, constantPct, year) {
+  if (trajectory?.mode === 'segments') {
+    const segment = trajectory.segments.find((s) => year >= s.from && year <= s.to);
+    if (segment) return segment.pct;
+  }
+  return constantPct ?? 0;
+}
+
+// Price of each projected year (index 0 = start year) following a trajectory. Table prices are scaled to
+// `basePrice`, so rows of one energy at different prices, or in different units, keep their own level.
+export function priceSeries({ startYear, years, basePrice, constantPct, trajectory }) {
+  const table = trajectory?.mode === 'table' && trajectory.prices[startYear] > 0 ? trajectory.prices : {};
+  const tablePrice = (year) => (table[year] === undefined ? null : (basePrice * table[year]) / table[startYear]);
+  const series = [basePrice];
+  for (let i = 1; i <= years; i += 1) {
+    const year = startYear + i;
+    const esc = (Math.max(escalationForYear(trajectory, constantPct, year), -99.9)) / 100;
+    series.push(tablePrice(year) ?? series[i - 1] * (1 + esc));
+  }
+  return series;
+}
+
+// Historical bills: "date;énergie;quantité;montant[;unité]" lines (',' or tab separators also accepted,
+// header line optional). The date may be a year, 2023-01-15 or 15/01/2023; quantities are in kWh unless
+// a unit of the energy is given. Amounts are all-in (abonnement included), so the prices derived from
+// them are average prices per kWh.
+export const BILL_FIT_METHODS = {
+  cagr: 'Taux annuel moyen (première et dernière année)',
+  regression: 'Régression log-linéaire (toutes les années)',
+};
+
+const normalizeText = (text) => String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+const BILL_ENERGY_ALIASES = {
+  electricite: ['electricite', 'elec', 'electricity'],
+  gaz: ['gaz', 'gaz naturel', 'gas'],
+  fioul: ['fioul', 'fuel', 'fioul domestique'],
+  granule: ['granule', 'granules', 'pellets'],
+  plaquette: ['plaquette', 'plaquettes', 'bois dechiquete'],
+  propane: ['propane', 'gpl'],
+};
+
+const BILL_UNIT_ALIASES = { kwh: 'kwh', m3: 'm3', 'm³': 'm3', l: 'l', litre: 'l', litres: 'l', kg: 'kg', t: 't', tonne: 't', tonnes: 't', map: 'map' };
+
+// Library energies are recognised by their id or label
+function billEnergy(text) {
+  const name = normalizeText(text);
+  return Object.keys(BILL_ENERGY_ALIASES).find((key) => BILL_ENERGY_ALIASES[key].includes(name))
+    ?? Object.keys(ENERGY_LABELS).find((key) => key === name || normalizeText(ENERGY_LABELS[key]) === name) ?? null;
+}
+
+// Unit of an energy named in a file, kWh when the cell is empty; null when the energy has no such unit.
+// Library units are also recognised by their label, singular or plural.
+function billUnit(energy, text) {
+  if (!text) return 'kwh';
+  const name = normalizeText(text);
+  const id = BILL_UNIT_ALIASES[name] ?? name;
+  return ENERGY_UNITS[energy].find((u) => u.id === id || [name, name.replace(/s$/, '')].includes(normalizeText(u.label)))?.id ?? null;
+}
+
+function billYear(text) {
+  const match = String(text).trim().match(/^(\d{4})(?:-\d{1,2}(?:-\d{1,2})?)?$/) ?? String(text).trim().match(/^\d{1,2}\/\d{1,2}\/(\d{4})$/);
+  return match ? Number(match[1]) : NaN;
+}
+
+// Returns { bills: [{ year, energy, quantity, unit, amount }], error }.
+export function parseBillsCsv(text) {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  const bills = [];
+  for (const [index, line] of lines.entries()) {
+    const separator = line.includes(';') ? ';' : (line.includes('\t') ? '\t' : ',');
+    const cells = line.split(separator).map((c) => c.trim().replace(/^"(.*)"$/, '$1'));
+    if (index === 0 && !Number.isFinite(billYear(cells[0]))) continue; // header
+    if (cells.length < 4) return { bills: [], error: `ligne ${index + 1} : 4 colonnes attendues (date;énergie;quantité;montant)` };
+    const year = billYear(cells[0]);
+    const energy = billEnergy(cells[1]);
+    const quantity = parseNumber(cells[2].replace(/\s/g, ''));
+    const amount = parseNumber(cells[3].replace(/[\s€]/g, ''));
+    if (!Number.isFinite(year)) return { bills: [], error: `ligne ${index + 1} : date « ${cells[0]} » illisible` };
+    if (!energy) return { bills: [], error: `ligne ${index + 1} : énergie « ${cells[1]} » inconnue` };
+    const unit = billUnit(energy, cells[4]);
+    if (!unit) {
+      return { bills: [], error: `ligne ${index + 1} : unité « ${cells[4]} » non disponible pour ${ENERGY_LABELS[energy]}` };
+    }
+    if (!(quantity > 0)) return { bills: [], error: `ligne ${index + 1} : quantité invalide` };
+    // A free year would give a price of 0, from which no escalation can be fitted
+    if (!(amount > 0)) return { bills: [], error: `ligne ${index + 1} : montant invalide` };
+    bills.push({ year, energy, quantity, unit, amount });
+  }
+  if (!bills.length) return { bills, error: 'aucune facture saisie' };
+  return { bills, error: null };
+}
+
+// Dwellings for batch runs, one consumption row per line with a header naming the columns:
+// logement;energie;quantite;prix, optionally unite, abonnement, inflation (%/an), annee_depart, annees.
+// Lines of the same dwelling are grouped into one project state (see validateProjectState) carrying the
+// active energy library; the horizon defaults to `defaults`. Returns { projects, error }.
+const DWELLING_COLUMNS = ['logement', 'energie', 'quantite', 'prix', 'unite', 'abonnement', 'inflation', 'annee_depart', 'annees'];
+
+export function parseDwellingsCsv(text, defaults = { startYear: 2025, years: 10 }) {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  if (!lines.length) return { projects: [], error: 'fichier vide' };
+  const separator = lines[0].includes(';') ? ';' : (lines[0].includes('\t') ? '\t' : ',');
+  const split = (line) => line.split(separator).map((c) => c.trim().replace(/^"(.*)"$/, '$1'));
+  const header = split(lines[0]).map(normalizeText);
+  const unknown = header.find((name) => !DWELLING_COLUMNS.includes(name));
+  if (unknown) return { projects: [], error: `colonne « ${unknown} » inconnue` };
+  const missing = DWELLING_COLUMNS.slice(0, 4).find((name) => !header.includes(name));
+  if (missing) return { projects: [], error: `colonne « ${missing} » manquante` };
+
+  const byName = new Map();
+  for (const [index, line] of lines.slice(1).entries()) {
+    const cells = Object.fromEntries(split(line).map((cell, i) => [header[i], cell]));
+    const number = (column) => (cells[column] ? parseNumber(cells[column].replace(/[\s€]/g, '')) : null);
+    const fail = (message) => ({ projects: [], error: `ligne ${index + 2} : ${message}` });
+    const name = cells.logement;
+    const energy = billEnergy(cells.energie ?? '');
+    if (!name) return fail('logement manquant');
+    if (!energy) return fail(`énergie « ${cells.energie ?? ''} » inconnue`);
+    const unit = billUnit(energy, cells.unite);
+    if (!unit) {
+      return fail(`unité « ${cells.unite} » non disponible pour ${ENERGY_LABELS[energy]}`);
+    }
+    const row = { energy, unit, quantity: number('quantite'), unitPrice: number('prix'), fixedCost: number('abonnement'), fixedEscalation: null };
+    if (!['quantity', 'unitPrice', 'fixedCost'].every((field) => row[field] === null || row[field] >= 0)) return fail('nombre invalide');
+
+    if (!byName.has(name)) {
+      byName.set(name, {
+        schemaVersion: PROJECT_SCHEMA_VERSION,
+        name,
+        startYear: defaults.startYear,
+        years: defaults.years,
+        escalation: {},
+        energies: energyLibrary(),
+        baseRows: [],
+        scenarioEnabled: false,
+        scenarios: [],
+      });
+    }
+    const project = byName.get(name);
+    if (cells.annee_depart) project.startYear = number('annee_depart');
+    if (cells.annees) project.years = number('annees');
+    if (cells.inflation) project.escalation[energy] = number('inflation');
+    project.baseRows.push(row);
+  }
+  if (!byName.size) return { projects: [], error: 'aucun logement saisi' };
+  return { projects: [...byName.values()], error: null };
+}
+
+// Yearly escalation (%) fitted on [{ year, unitPrice }], or null with fewer than two years.
+export function fitEscalation(points, method = 'cagr') {
+  if (points.length < 2) return null;
+  if (method === 'regression') {
+    const xs = points.map((p) => p.year);
+    const ys = points.map((p) => Math.log(p.unitPrice));
+    const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+    const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+    const sxy = xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0);
+    const sxx = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+    return (Math.exp(sxy / sxx) - 1) * 100;
+  }
+  const first = points[0];
+  const last = points[points.length - 1];
+  return (Math.pow(last.unitPrice / first.unitPrice, 1 / (last.year - first.year)) - 1) * 100;
+}
+
+// Bills summed per energy and year, with the average €/kWh of each year and the fitted escalation:
+// { energies: [{ energy, years: [{ year, kwh, amount, unitPrice }], escalationPct }], totals: [{ year, total }] }
+export function analyzeBills(bills, method = 'cagr', conversions = CONVERSION_DEFAULTS) {
+  const byEnergy = {};
+  bills.forEach((bill) => {
+    const { kwh } = toKwhRow({ energy: bill.energy, unit: bill.unit, quantity: bill.quantity, unitPrice: 0 }, conversions);
+    const years = (byEnergy[bill.energy] ??= {});
+    const entry = (years[bill.year] ??= { year: bill.year, kwh: 0, amount: 0 });
+    entry.kwh += kwh;
+    entry.amount += bill.amount;
+  });
+  const energies = Object.keys(byEnergy).map((energy) => {
+    const years = Object.values(byEnergy[energy])
+      .sort((a, b) => a.year - b.year)
+      .map((entry) => ({ ...entry, unitPrice: entry.amount / entry.kwh }));
+    return { energy, years, escalationPct: fitEscalation(years, method) };
+  });
+  const totals = {};
+  bills.forEach((bill) => { totals[bill.year] = (totals[bill.year] ?? 0) + bill.amount; });
+  return {
+    energies,
+    totals: Object.keys(totals).map(Number).sort((a, b) => a - b).map((year) => ({ year, total: totals[year] })),
+  };
+}
+
+// Electricity tariff options. A row on HP/HC or Tempo splits its kWh across periods, each with its own
+// share, price (indicative regulated prices as defaults) and escalation; `offPeak` pairs a peak period
+// with the off-peak period consumption can be moved to.
+export const ELECTRICITY_TARIFFS = {
+  base: { label: 'Base', periods: [] },
+  hphc: {
+    label: 'Heures pleines / creuses',
+    periods: [
+      { id: 'hp', label: 'HP', sharePct: 60, unitPrice: 0.2146, offPeak: 'hc' },
+      { id: 'hc', label: 'HC', sharePct: 40, unitPrice: 0.1696 },
+    ],
+  },
+  tempo: {
+    label: 'Tempo',
+    periods: [
+      { id: 'bleu-hp', label: 'Bleu HP', sharePct: 52, unitPrice: 0.1552, offPeak: 'bleu-hc' },
+      { id: 'bleu-hc', label: 'Bleu HC', sharePct: 28, unitPrice: 0.1288 },
+      { id: 'blanc-hp', label: 'Blanc HP', sharePct: 8, unitPrice: 0.1792, offPeak: 'blanc-hc' },
+      { id: 'blanc-hc', label: 'Blanc HC', sharePct: 5, unitPrice: 0.1447 },
+      { id: 'rouge-hp', label: 'Rouge HP', sharePct: 4, unitPrice: 0.6586, offPeak: 'rouge-hc' },
+      { id: 'rouge-hc', label: 'Rouge HC', sharePct: 3, unitPrice: 0.1518 },
+    ],
+  },
+};
+
+export function tariffPeriod(tariff, periodId) {
+  return ELECTRICITY_TARIFFS[tariff]?.periods.find((p) => p.id === periodId);
+}
+
+// Average first-year price of a row split across periods
+export function blendedPrice(periods) {
+  return periods.reduce((sum, p) => sum + (p.sharePct / 100) * p.unitPrice, 0);
+}
+
+// Message describing the first row whose period split is unusable, or null.
+export function tariffError(rows) {
+  for (const r of rows) {
+    if (!r.periods?.length) continue;
+    if (r.periods.some((p) => !Number.isFinite(p.sharePct) || p.sharePct < 0 || !Number.isFinite(p.unitPrice) || p.unitPrice < 0)) {
+      return `Option ${ELECTRICITY_TARIFFS[r.tariff].label} : part et prix de chaque période requis.`;
+    }
+    if (Math.abs(r.periods.reduce((sum, p) => sum + p.sharePct, 0) - 100) > 0.01) {
+      return `Option ${ELECTRICITY_TARIFFS[r.tariff].label} : la somme des parts doit faire 100 %.`;
+    }
+    if (r.periods.some((p) => p.escalationPct !== null && (!Number.isFinite(p.escalationPct) || p.escalationPct < -50 || p.escalationPct > 100))) {
+      return `Option ${ELECTRICITY_TARIFFS[r.tariff].label} : évolution de prix invalide (entre -50 et 100).`;
+    }
+  }
+  return null;
+}
+
+// Move `shiftPct` % of the consumption of each peak period to its off-peak period (heat pump or
+// hot-water tank run on HC, for instance).
+export function shiftToOffPeak(rows, shiftPct) {
+  if (!shiftPct) return rows;
+  return rows.map((r) => {
+    if (!r.periods?.length) return r;
+    const periods = r.periods.map((p) => ({ ...p }));
+    periods.forEach((p) => {
+      const offPeakId = tariffPeriod(r.tariff, p.id)?.offPeak;
+      const offPeak = periods.find((o) => o.id === offPeakId);
+      if (!offPeak) return;
+      const moved = p.sharePct * (shiftPct / 100);
+      p.sharePct -= moved;
+      offPeak.sharePct += moved;
+    });
+    return { ...r, periods, unitPrice: blendedPrice(periods) };
+  });
+}
+
+export function emissionFactorForYear(energy, yearIndex, climate) {
+  const factor = climate.emissionFactorByEnergy[energy] ?? 0;
+  return energy === 'electricite' ? factor * (1 - climate.electricityDeclinePct / 100) ** yearIndex : factor;
+}
+
+// Consumption modifiers of a row or of a whole scenario, all optional:
+// - steps: [{ from, pct }], a lasting change of consumption from a year (-25 after insulating the attic);
+// - driftPct: a yearly drift (equipment efficiency loss);
+// - weather: { heatingSharePct, referenceDju, billDju }, rescales the heating share of the bill year
+//   to a year with the reference degree-days.
+export const CONSUMPTION_NUMERIC_FIELDS = ['drift', 'heatingShare', 'djuRef', 'djuBill'];
+
+// Parse "2027: -25; 2030: -10" into steps.
+export function parseConsumptionSteps(text) {
+  const steps = [];
+  const parts = String(text).split(/[;\n]/).map((p) => p.trim()).filter(Boolean);
+  for (const part of parts) {
+    const match = part.match(/^(\d{4})\s*:\s*([+-]?[\d.,]+)\s*%?$/);
+    if (!match) return { steps: [], error: `évolution « ${part} » illisible (ex: 2027: -25)` };
+    const pct = parseNumber(match[2]);
+    if (!Number.isFinite(pct) || pct <= -100 || pct > 500) return { steps: [], error: `variation « ${part} » invalide` };
+    steps.push({ from: Number(match[1]), pct });
+  }
+  return { steps, error: null };
+}
+
+// Multiplier applied to the consumption entered, for the year `startYear + yearIndex`
+export function consumptionFactor(modifiers, startYear, yearIndex) {
+  if (!modifiers) return 1;
+  const year = startYear + yearIndex;
+  const { weather } = modifiers;
+  const weatherFactor = weather
+    ? 1 - weather.heatingSharePct / 100 + (weather.heatingSharePct / 100) * (weather.referenceDju / weather.billDju)
+    : 1;
+  const stepsFactor = (modifiers.steps ?? [])
+    .filter((s) => s.from <= year)
+    .reduce((factor, s) => factor * (1 + s.pct / 100), 1);
+  return weatherFactor * stepsFactor * (1 + (modifiers.driftPct ?? 0) / 100) ** yearIndex;
+}
+
+// Non-energy costs of a set: { maintenance, sweeping, escalationPct, replacement: { cost, year } | null,
+// residualValue }. The yearly maintenance contract, the chimney sweeping and the replacement are priced
+// at the start year and follow escalationPct; the residual value of the equipment at the end of the
+// horizon is credited the last year. A replacement outside the horizon is not counted.
+export const EQUIPMENT_DEFAULTS = { escalation: 2 };
+
+// Equipment inputs of a set: state key -> input class
+export const EQUIPMENT_FIELDS = {
+  maintenance: 'equipment-maintenance',
+  sweeping: 'equipment-sweeping',
+  escalation: 'equipment-escalation',
+  replacementCost: 'equipment-replacement-cost',
+  replacementYear: 'equipment-replacement-year',
+  residualValue: 'equipment-residual-value',
+};
+
+function equipmentSeries(equipment, startYear, years) {
+  const escalate = (amount) => priceSeries({ startYear, years, basePrice: amount, constantPct: equipment.escalationPct });
+  const maintenance = escalate(equipment.maintenance);
+  const sweeping = escalate(equipment.sweeping);
+  const replacement = escalate(equipment.replacement?.cost ?? 0);
+  return maintenance.map((_, i) => {
+    const costs = {
+      maintenance: maintenance[i],
+      sweeping: sweeping[i],
+      replacement: startYear + i === equipment.replacement?.year ? replacement[i] : 0,
+      residual: i === years ? -equipment.residualValue : 0,
+    };
+    return { ...costs, total: costs.maintenance + costs.sweeping + costs.replacement + costs.residual };
+  });
+}
+
+// Rooftop photovoltaics of a scenario: { powerKwc, yieldKwhPerKwc, degradationPct, selfConsumptionPct,
+// feedInTariff, feedInEscalationPct }. The production of each year, after the panels' degradation, is
+// self-consumed up to selfConsumptionPct within the electricity bought that year; the surplus is sold at
+// the feed-in tariff (€/kWh), indexed on its own rate.
+export const PV_DEFAULTS = { yield: 1100, degradation: 0.5, selfConsumption: 40, feedInTariff: 0.04, feedInEscalation: 0 };
+
+// PV inputs of a scenario card: state key -> input class
+export const PV_FIELDS = {
+  power: 'pv-power',
+  yield: 'pv-yield',
+  degradation: 'pv-degradation',
+  selfConsumption: 'pv-self-consumption',
+  feedInTariff: 'pv-feed-in-tariff',
+  feedInEscalation: 'pv-feed-in-escalation',
+};
+
+// The surplus resale is a detail line of its own, with a negative cost
+export const PV_SURPLUS = { energy: 'revente_pv', label: 'Revente du surplus PV', color: '#eab308' };
+
+// Label and colour of a detail: those of its row (see toKwhRow), of the active library for other rows
+export const detailEnergyLabel = (detail) => detail.energyLabel ?? ENERGY_LABELS[detail.energy] ?? detail.energy;
+export const detailEnergyColor = (detail) => detail.energyColor ?? ENERGY_COLORS[detail.energy] ?? '#8884d8';
+
+// Production, self-consumption and surplus (kWh) of year `yearIndex`, for the electricity bought without PV
+export function pvYear(pv, yearIndex, electricityKwh) {
+  const productionKwh = pv.powerKwc * pv.yieldKwhPerKwc * (1 - pv.degradationPct / 100) ** yearIndex;
+  const selfConsumedKwh = Math.min(productionKwh * (pv.selfConsumptionPct / 100), electricityKwh);
+  return { productionKwh, selfConsumedKwh, surplusKwh: productionKwh - selfConsumedKwh };
+}
+
+// Compute evolution over years. The variable share (kWh × €/kWh) follows the energy price trajectory;
+// the fixed share (abonnement, €/an) follows its own rate, or the energy escalation when the row has none.
+// The kWh of each year follow the row's consumption modifiers, then those of the whole scenario; the
+// self-consumed PV production then reduces every electricity row in proportion.
+export function computeEvolution({
+  startYear, years, rows, escalationPctByEnergy, trajectoryByEnergy = {}, climate = DEFAULT_CLIMATE, consumption = null, pv = null,
+  equipment = null,
+}) {
+  const series = rows.map((r) => {
+    const constantPct = escalationPctByEnergy[r.energy];
+    const trajectory = trajectoryByEnergy[r.energy];
+    const segments = trajectory?.mode === 'segments' ? trajectory : null;
+    return {
+      prices: priceSeries({ startYear, years, basePrice: r.unitPrice, constantPct, trajectory }),
+      // Each period follows its own rate, or the energy trajectory from its own price
+      periods: (r.periods ?? []).map((p) => (p.escalationPct !== null && p.escalationPct !== undefined
+        ? priceSeries({ startYear, years, basePrice: p.unitPrice, constantPct: p.escalationPct })
+        : priceSeries({ startYear, years, basePrice: p.unitPrice, constantPct, trajectory }))),
+      fixed: r.fixedEscalationPct !== null && r.fixedEscalationPct !== undefined
+        ? priceSeries({ startYear, years, basePrice: r.fixedCost ?? 0, constantPct: r.fixedEscalationPct })
+        : priceSeries({ startYear, years, basePrice: r.fixedCost ?? 0, constantPct, trajectory: segments }),
+    };
+  });
+
+  const carbonPrices = priceSeries({ startYear, years, basePrice: climate.carbonPrice, constantPct: climate.carbonEscalationPct });
+  const feedInTariffs = pv ? priceSeries({ startYear, years, basePrice: pv.feedInTariff, constantPct: pv.feedInEscalationPct }) : [];
+  const equipmentCosts = equipment ? equipmentSeries(equipment, startYear, years) : [];
+
+  const rowsOut = [];
+  for (let i = 0; i <= years; i += 1) {
+    const year = startYear + i;
+    let total = 0;
+    let variableTotal = 0;
+    let fixedTotal = 0;
+    let emissionsT = 0;
+    let kwhTotal = 0;
+    // Consumption of the year, after the row's own modifiers and the scenario's
+    const factors = rows.map((r) => consumptionFactor(r.consumption, startYear, i) * consumptionFactor(consumption, startYear, i));
+    const electricityKwh = rows.reduce((sum, r, idx) => sum + (r.energy === 'electricite' ? r.kwh * factors[idx] : 0), 0);
+    const solar = pv ? pvYear(pv, i, electricityKwh) : null;
+    const coverage = solar && electricityKwh > 0 ? solar.selfConsumedKwh / electricityKwh : 0;
+    const details = rows.map((r, idx) => {
+      const factor = factors[idx] * (r.energy === 'electricite' ? 1 - coverage : 1);
+      const kwhYear = r.kwh * factor;
+      const periodsYear = (r.periods ?? []).map((p, periodIdx) => {
+        const kwh = kwhYear * (p.sharePct / 100);
+        const periodPrice = series[idx].periods[periodIdx][i];
+        return { id: p.id, label: p.label, sharePct: p.sharePct, kwh, unitPriceYear: periodPrice, cost: kwh * periodPrice };
+      });
+      const unitPriceYear = periodsYear.length
+        ? periodsYear.reduce((sum, p) => sum + (p.sharePct / 100) * p.unitPriceYear, 0)
+        : series[idx].prices[i];
+      const variableCost = unitPriceYear * kwhYear;
+      const fixedCostYear = series[idx].fixed[i];
+      const cost = variableCost + fixedCostYear;
+      const rowEmissionsT = (kwhYear * emissionFactorForYear(r.energy, i, climate)) / 1000;
+      variableTotal += variableCost;
+      fixedTotal += fixedCostYear;
+      emissionsT += rowEmissionsT;
+      kwhTotal += kwhYear;
+      total += cost;
+      return {
+        ...r,
+        kwh: kwhYear,
+        ...(r.quantity !== undefined ? { quantity: r.quantity * factor } : {}),
+        unitPriceYear,
+        variableCost,
+        fixedCostYear,
+        cost,
+        emissionsT: rowEmissionsT,
+        ...(periodsYear.length ? { periodsYear } : {}),
+      };
+    });
+    if (solar) {
+      const resale = -solar.surplusKwh * feedInTariffs[i];
+      details.push({
+        energy: PV_SURPLUS.energy,
+        energyLabel: PV_SURPLUS.label,
+        energyColor: PV_SURPLUS.color,
+        unit: 'kwh',
+        unitLabel: 'kWh',
+        kwhPerUnit: 1,
+        kwh: solar.surplusKwh,
+        unitPrice: -pv.feedInTariff,
+        unitPriceYear: -feedInTariffs[i],
+        variableCost: resale,
+        fixedCostYear: 0,
+        cost: resale,
+        emissionsT: 0,
+      });
+      variableTotal += resale;
+      total += resale;
+    }
+    const carbonCost = emissionsT * carbonPrices[i];
+    if (climate.includeCarbonCost) total += carbonCost;
+    rowsOut.push({
+      year, total, variableTotal, fixedTotal, kwhTotal, emissionsT, carbonCost, carbonIncluded: climate.includeCarbonCost, details,
+      ...(solar ? { pv: solar } : {}),
+      ...(equipment ? { equipment: equipmentCosts[i] } : {}),
+    });
+  }
+  return { rows: rowsOut };
+}
+
+// Basis of the amounts shown: current euros, constant euros of the start year (deflated by general
+// inflation) or euros discounted to the start year. `ratePct` is the yearly deflator.
+export const VALUE_BASES = {
+  nominal: 'euros courants',
+  constant: 'euros constants',
+  discounted: 'euros actualisés',
+};
+export const VALUE_BASIS_DEFAULTS = { cpiPct: 2, discountRatePct: 3 };
+
+export function makeValueBasis(mode, { cpiPct, discountRatePct, referenceYear }) {
+  const ratePct = { nominal: 0, constant: cpiPct, discounted: discountRatePct }[mode];
+  const label = {
+    nominal: VALUE_BASES.nominal,
+    constant: `${VALUE_BASES.constant} ${referenceYear}, inflation ${formatPercent(ratePct)}/an`,
+    discounted: `${VALUE_BASES.discounted} ${referenceYear} à ${formatPercent(ratePct)}/an`,
+  }[mode];
+  return { mode, ratePct, referenceYear, label };
+}
+
+export function valueFactor(basis, yearIndex) {
+  return (1 + basis.ratePct / 100) ** -yearIndex;
+}
+
+// Same evolution with every amount expressed in `basis` (kWh and emissions are unchanged)
+export function applyValueBasis(evolution, basis) {
+  if (basis.mode === 'nominal') return { ...evolution, basis };
+  return {
+    basis,
+    rows: evolution.rows.map((row, i) => {
+      const f = valueFactor(basis, i);
+      return {
+        ...row,
+        total: row.total * f,
+        variableTotal: row.variableTotal * f,
+        fixedTotal: row.fixedTotal * f,
+        carbonCost: row.carbonCost * f,
+        details: row.details.map((d) => ({
+          ...d,
+          unitPriceYear: d.unitPriceYear * f,
+          variableCost: d.variableCost * f,
+          fixedCostYear: d.fixedCostYear * f,
+          cost: d.cost * f,
+          ...(d.periodsYear ? { periodsYear: d.periodsYear.map((p) => ({ ...p, unitPriceYear: p.unitPriceYear * f, cost: p.cost * f })) } : {}),
+        })),
+        ...(row.equipment ? { equipment: Object.fromEntries(Object.entries(row.equipment).map(([key, cost]) => [key, cost * f])) } : {}),
+        ...(row.months ? {
+          months: row.months.map((month) => ({
+            ...month,
+            variableTotal: month.variableTotal * f,
+            fixedTotal: month.fixedTotal * f,
+            carbonCost: month.carbonCost * f,
+            total: month.total * f,
+            details: month.details.map((d) => ({ ...d, variableCost: d.variableCost * f, fixedCost: d.fixedCost * f, cost: d.cost * f })),
+          })),
+        } : {}),
+      };
+    }),
+  };
+}
+
+// Monthly mode: the consumption of each row is spread over the months of the year with a seasonal
+// profile (weights from January to December), and the prices of a year apply from `changeMonth`
+// (1 = January), the months before it keeping the prices of the previous year. The PV surplus follows
+// the sunshine. Each year of the evolution then becomes the sum of its months, in `months`.
+export const MONTH_LABELS = ['Janvier', 'Février', 'Mars', 'Avril', 'Mai', 'Juin', 'Juillet', 'Août', 'Septembre', 'Octobre', 'Novembre', 'Décembre'];
+export const SEASONAL_PROFILES = {
+  heating: { label: 'Chauffage', weights: [18, 15, 13, 9, 4, 1, 0, 0, 1, 7, 14, 18] },
+  flat: { label: 'Constant (eau chaude, cuisson)', weights: Array(12).fill(1) },
+  custom: { label: 'Personnalisé', weights: null },
+};
+const SOLAR_WEIGHTS = [4, 5.5, 8.5, 10.5, 12, 12.5, 13, 11.5, 9, 6.5, 4, 3];
+
+// Profile of a row without one: electricity serves many uses, the other energies mostly heat
+export function defaultProfile(energy) {
+  return energy === 'electricite' ? 'flat' : 'heating';
+}
+
+function normalizeWeights(weights) {
+  const sum = weights.reduce((total, w) => total + w, 0);
+  return weights.map((w) => w / sum);
+}
+
+// Custom profile typed as 12 weights ("18;15;13;…"), returned normalized
+export function parseProfileWeights(text) {
+  const values = String(text ?? '').trim().split(/[\s;]+/).filter(Boolean).map(parseNumber);
+  if (values.length !== 12 || !values.every((w) => Number.isFinite(w) && w >= 0) || !values.some((w) => w > 0)) {
+    return { weights: null, error: 'Profil personnalisé invalide : 12 poids positifs attendus, de janvier à décembre.' };
+  }
+  return { weights: normalizeWeights(values), error: null };
+}
+
+// Monthly weights of a state row, null when its custom profile cannot be read
+export function rowProfile(row) {
+  const profile = row.profile ?? defaultProfile(row.energy);
+  if (profile === 'custom') return parseProfileWeights(row.profileWeights).weights;
+  const weights = SEASONAL_PROFILES[profile]?.weights;
+  return weights ? normalizeWeights(weights) : null;
+}
+
+// First unreadable custom profile of the rows, or null
+function profilesError(rows = []) {
+  return rows.filter((row) => row.profile === 'custom').map((row) => parseProfileWeights(row.profileWeights).error).find(Boolean) ?? null;
+}
+
+export function monthlyEvolution(evolution, rows, { changeMonth }) {
+  const profiles = rows.map((r) => r.profile ?? normalizeWeights(SEASONAL_PROFILES[defaultProfile(r.energy)].weights));
+  const solar = normalizeWeights(SOLAR_WEIGHTS);
+  return {
+    ...evolution,
+    rows: evolution.rows.map((row, i) => {
+      const previous = evolution.rows[i - 1] ?? row;
+      const priced = (m) => (m + 1 < changeMonth ? previous : row);
+      const carbonPrice = row.emissionsT > 0 ? row.carbonCost / row.emissionsT : 0;
+      const months = MONTH_LABELS.map((label, m) => {
+        const details = row.details.map((d, idx) => {
+          const weight = (profiles[idx] ?? solar)[m];
+          const prices = priced(m).details[idx];
+          const kwh = d.kwh * weight;
+          const variableCost = kwh * prices.unitPriceYear;
+          const fixedCost = prices.fixedCostYear / 12;
+          return { kwh, variableCost, fixedCost, cost: variableCost + fixedCost, emissionsT: d.emissionsT * weight };
+        });
+        const sum = (key) => details.reduce((total, d) => total + d[key], 0);
+        const carbonCost = sum('emissionsT') * carbonPrice;
+        return {
+          month: m + 1,
+          label,
+          // Bought energy only, like the year: the PV surplus is sold
+          kwhTotal: details.reduce((total, d, idx) => total + (row.details[idx].energy === PV_SURPLUS.energy ? 0 : d.kwh), 0),
+          variableTotal: sum('variableCost'),
+          fixedTotal: sum('fixedCost'),
+          emissionsT: sum('emissionsT'),
+          carbonCost,
+          total: sum('cost') + (row.carbonIncluded ? carbonCost : 0),
+          details,
+        };
+      });
+      const details = row.details.map((d, idx) => {
+        const sum = (key) => months.reduce((total, month) => total + month.details[idx][key], 0);
+        const variableCost = sum('variableCost');
+        const fixedCostYear = sum('fixedCost');
+        const periodsYear = d.periodsYear?.map((p, periodIdx) => {
+          const cost = months.reduce((total, month, m) => total
+            + month.details[idx].kwh * (p.sharePct / 100) * priced(m).details[idx].periodsYear[periodIdx].unitPriceYear, 0);
+          return { ...p, unitPriceYear: p.kwh > 0 ? cost / p.kwh : p.unitPriceYear, cost };
+        });
+        return {
+          ...d,
+          unitPriceYear: d.kwh > 0 ? variableCost / d.kwh : d.unitPriceYear,
+          variableCost,
+          fixedCostYear,
+          cost: variableCost + fixedCostYear,
+          ...(periodsYear ? { periodsYear } : {}),
+        };
+      });
+      const sum = (key) => months.reduce((total, month) => total + month[key], 0);
+      return { ...row, total: sum('total'), variableTotal: sum('variableTotal'), fixedTotal: sum('fixedTotal'), details, months };
+    }),
+  };
+}
+
+// Level monthly direct debit (mensualisation) covering the bills of a year of a monthly evolution, the
+// carbon cost left out: the lowest balance of the account over the year and the refund at regularisation
+export function directDebitPlan(row) {
+  const bills = row.months.map((month) => month.variableTotal + month.fixedTotal);
+  const amount = Math.ceil(bills.reduce((total, bill) => total + bill, 0) / 12);
+  let balance = 0;
+  let lowest = { balance: 0, month: null };
+  bills.forEach((bill, m) => {
+    balance += amount - bill;
+    if (balance < lowest.balance) lowest = { balance, month: m + 1 };
+  });
+  return { amount, lowestBalance: lowest.balance, lowestMonth: lowest.month, regularization: balance };
+}
+
+// Monte Carlo mode: each energy escalation rate is drawn from a distribution once per simulation
+// (normal: mean ± standard deviation; triangular: min / mode / max, the mode being the rate entered
+// in the form). Fossil energies can share a common random factor to move together.
+export const FOSSIL_ENERGIES = ['gaz', 'fioul', 'propane'];
+export const MONTE_CARLO_DEFAULTS = { runs: 2000, seed: 42, correlation: 0.6, sd: 1.5, spread: 2 };
+export const MONTE_CARLO_DISTRIBUTIONS = ['normal', 'triangular'];
+export const MONTE_CARLO_SPREAD_FIELDS = ['sd', 'min', 'max'];
+
+// Seedable PRNG (mulberry32), returns floats in [0, 1)
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal draw (Box-Muller)
+function standardNormal(rng) {
+  const u = 1 - rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function triangularQuantile(u, min, mode, max) {
+  if (max <= min) return mode;
+  const split = (mode - min) / (max - min);
+  return u < split
+    ? min + Math.sqrt(u * (max - min) * (mode - min))
+    : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+}
+
+// One draw of the escalation rate (%) of every energy. `distributions[key]` is
+// { type: 'normal', mean, sd } or { type: 'triangular', min, mode, max }.
+export function sampleEscalations(rng, distributions, correlation) {
+  const common = standardNormal(rng);
+  return Object.fromEntries(Object.entries(distributions).map(([key, dist]) => {
+    const own = standardNormal(rng);
+    const z = FOSSIL_ENERGIES.includes(key) ? Math.sqrt(correlation) * common + Math.sqrt(1 - correlation) * own : own;
+    const pct = dist.type === 'triangular'
+      ? triangularQuantile(normalCdf(z), dist.min, dist.mode, dist.max)
+      : dist.mean + dist.sd * z;
+    return [key, Math.max(pct, -99)];
+  }));
+}
+
+// Period trajectories move with the drawn rate; explicit price tables are kept as entered.
+function shiftTrajectories(trajectoryByEnergy, deltaByEnergy) {
+  return Object.fromEntries(Object.entries(trajectoryByEnergy).map(([key, trajectory]) => [
+    key,
+    trajectory.mode === 'segments'
+      ? { ...trajectory, segments: trajectory.segments.map((s) => ({ ...s, pct: s.pct + (deltaByEnergy[key] ?? 0) })) }
+      : trajectory,
+  ]));
+}
+
+// Linear-interpolated percentile (p in [0, 100]) of an ascending array.
+export function percentile(sorted, p) {
+  if (!sorted.length) return NaN;
+  const rank = (p / 100) * (sorted.length - 1);
+  const low = Math.floor(rank);
+  const high = Math.ceil(rank);
+  return sorted[low] + (sorted[high] - sorted[low]) * (rank - low);
+}
+
+function summarizeRuns(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return { p10: percentile(sorted, 10), p50: percentile(sorted, 50), p90: percentile(sorted, 90) };
+}
+
+// Run the projection of every row set (index 0 = base) under the same random draws, so scenarios are
+// compared on identical price paths. Returns P10/P50/P90 per year and for the cumulative cost, and for
+// each alternative the probability of costing less than the base over the horizon.
+export function runMonteCarlo({
+  startYear, years, rowSets, consumptionSets = [], pvSets = [], escalationPctByEnergy, trajectoryByEnergy = {}, climate = DEFAULT_CLIMATE, valueBasis = null,
+  monthly = null, distributions, correlation, runs, seed,
+}) {
+  const rng = createRng(seed);
+  const yearly = rowSets.map(() => Array.from({ length: years + 1 }, () => []));
+  const cumulative = rowSets.map(() => []);
+  const cheaperCounts = rowSets.map(() => 0);
+
+  for (let run = 0; run < runs; run += 1) {
+    const drawn = sampleEscalations(rng, distributions, correlation);
+    const escalation = { ...escalationPctByEnergy, ...drawn };
+    const deltas = Object.fromEntries(Object.keys(drawn).map((key) => [key, drawn[key] - (escalationPctByEnergy[key] ?? 0)]));
+    const trajectories = shiftTrajectories(trajectoryByEnergy, deltas);
+
+    const totals = rowSets.map((rows, setIndex) => {
+      const computed = computeEvolution({
+        startYear, years, rows, escalationPctByEnergy: escalation, trajectoryByEnergy: trajectories, climate,
+        consumption: consumptionSets[setIndex] ?? null, pv: pvSets[setIndex] ?? null,
+      });
+      const nominal = monthly ? monthlyEvolution(computed, rows, monthly) : computed;
+      const evolution = valueBasis ? applyValueBasis(nominal, valueBasis) : nominal;
+      evolution.rows.forEach((row, i) => yearly[setIndex][i].push(row.total));
+      const total = cumulativeTotal(evolution);
+      cumulative[setIndex].push(total);
+      return total;
+    });
+    totals.forEach((total, setIndex) => {
+      if (setIndex > 0 && total < totals[0]) cheaperCounts[setIndex] += 1;
+    });
+  }
+
+  const summary = rowSets.map((_, setIndex) => ({
+    yearly: yearly[setIndex].map((values, i) => ({ year: startYear + i, ...summarizeRuns(values) })),
+    cumulative: summarizeRuns(cumulative[setIndex]),
+  }));
+  return {
+    runs,
+    seed,
+    base: summary[0],
+    scenarios: summary.slice(1).map((s, i) => ({ ...s, probabilityCheaper: cheaperCounts[i + 1] / runs })),
+  };
+}
+
+// Yearly instalment of a fixed-rate amortizing loan.
+export function loanAnnuity(amount, ratePct, years) {
+  if (!(amount > 0) || !(years > 0)) return 0;
+  const rate = ratePct / 100;
+  if (rate === 0) return amount / years;
+  return (amount * rate) / (1 - Math.pow(1 + rate, -years));
+}
+
+// Principal still owed on a loan after `paid` of its yearly instalments
+export function loanBalance(amount, ratePct, years, paid) {
+  if (!(amount > 0) || paid >= years) return 0;
+  const rate = ratePct / 100;
+  const payment = loanAnnuity(amount, ratePct, years);
+  if (rate === 0) return amount - payment * paid;
+  const growth = Math.pow(1 + rate, paid);
+  return amount * growth - (payment * (growth - 1)) / rate;
+}
+
+// Net present value of `flows`, where flows[0] happens today and flows[t] at the end of year t.
+export function netPresentValue(flows, ratePct) {
+  const rate = ratePct / 100;
+  return flows.reduce((sum, flow, t) => sum + flow / Math.pow(1 + rate, t), 0);
+}
+
+// Internal rate of return (%) by bisection; null when the flows never change sign.
+export function internalRateOfReturn(flows) {
+  let low = -99;
+  let high = 1000;
+  let npvLow = netPresentValue(flows, low);
+  const npvHigh = netPresentValue(flows, high);
+  if (!Number.isFinite(npvLow) || Math.sign(npvLow) === Math.sign(npvHigh)) return null;
+  for (let i = 0; i < 200; i += 1) {
+    const mid = (low + high) / 2;
+    const npvMid = netPresentValue(flows, mid);
+    if (Math.abs(npvMid) < 1e-9 || high - low < 1e-9) return mid;
+    if (Math.sign(npvMid) === Math.sign(npvLow)) {
+      low = mid;
+      npvLow = npvMid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+// Cash flows of switching from the base to an alternative scenario. The out-of-pocket share of the
+// investment (after subsidies and loan) is paid up front; each projected year then brings the savings
+// on the energy and equipment costs minus the loan instalment, counted at the end of that year. A loan
+// running past the horizon is repaid in its last year, so that the whole investment is counted.
+// Payback is the first year from which the cumulative cash flow stays positive, null if it never does.
+export function computeInvestmentAnalysis({ baseEvolution, scenarioEvolution, investment, subsidies, loan, discountRatePct }) {
+  const netInvestment = investment - subsidies;
+  const loanAmount = loan?.amount ?? 0;
+  const loanPayment = loanAnnuity(loanAmount, loan?.ratePct ?? 0, loan?.years ?? 0);
+  const equity = netInvestment - loanAmount;
+
+  const lastIndex = baseEvolution.rows.length - 1;
+  let cumulative = -equity;
+  let paybackYear = null;
+  const flows = baseEvolution.rows.map((baseRow, i) => {
+    const scenarioRow = scenarioEvolution.rows[i];
+    const savings = ownershipCost(baseRow) - (scenarioRow ? ownershipCost(scenarioRow) : 0);
+    let payment = i < (loan?.years ?? 0) ? loanPayment : 0;
+    if (i === lastIndex) payment += loanBalance(loanAmount, loan?.ratePct ?? 0, loan?.years ?? 0, i + 1);
+    const cashFlow = savings - payment;
+    cumulative += cashFlow;
+    if (cumulative < 0) paybackYear = null;
+    else if (paybackYear === null) paybackYear = baseRow.year;
+    return { year: baseRow.year, savings, loanPayment: payment, cashFlow, cumulative };
+  });
+
+  const cashFlows = [-equity, ...flows.map((f) => f.cashFlow)];
+  return {
+    investment,
+    subsidies,
+    netInvestment,
+    loanAmount,
+    loanPayment,
+    equity,
+    discountRatePct,
+    flows,
+    paybackYear,
+    npv: netPresentValue(cashFlows, discountRatePct),
+    irr: internalRateOfReturn(cashFlows),
+  };
+}
+
+// Checks shared by every consumption set (the base and each scenario) once its inputs are read:
+// horizon, escalation rates, rows, tariff periods and off-peak shift. Returns a list of
+// { field, message }, empty when the inputs can be computed.
+export function validateInputs({ startYear, years, escalationPctByEnergy, rows, hcShiftPct = 0, labels = ENERGY_LABELS }) {
+  const errors = [];
+  if (!Number.isInteger(startYear) || startYear < 2000 || startYear > 2100) {
+    errors.push({ field: 'startYear', message: 'Année de départ invalide (entre 2000 et 2100).' });
+  }
+  if (!Number.isInteger(years) || years < 0 || years > 50) {
+    errors.push({ field: 'years', message: 'Nombre d\'années invalide (entre 0 et 50).' });
+  }
+  Object.entries(escalationPctByEnergy).forEach(([key, pct]) => {
+    if (!Number.isFinite(pct) || pct < -50 || pct > 100) {
+      errors.push({ field: `escalation.${key}`, message: `Inflation ${labels[key] ?? key} invalide (entre -50 et 100).` });
+    }
+  });
+  if (!rows.length) {
+    errors.push({ field: 'rows', message: 'Veuillez ajouter au moins une ligne valide (quantité et prix, ou abonnement).' });
+  }
+  rows.forEach((r, i) => {
+    if (r.fixedEscalationPct !== null && (!Number.isFinite(r.fixedEscalationPct) || r.fixedEscalationPct < -50 || r.fixedEscalationPct > 100)) {
+      errors.push({ field: `rows[${i}].fixedEscalation`, message: 'Évolution d\'abonnement invalide (entre -50 et 100).' });
+    }
+  });
+  const periodError = tariffError(rows);
+  if (periodError) errors.push({ field: 'rows', message: periodError });
+  if (!(hcShiftPct >= 0 && hcShiftPct <= 100)) {
+    errors.push({ field: 'hcShift', message: 'Report vers les heures creuses invalide (entre 0 et 100).' });
+  }
+  return errors;
+}
+
+// Reading a project state (see validateProjectState) into simulation inputs. Empty values fall back to
+// the defaults of the page; each reader returns its value and an error message or null.
+export function conversionsFromState(values = {}) {
+  const conversions = Object.fromEntries(Object.keys(CONVERSION_DEFAULTS).map((key) => [key, values[key] ?? CONVERSION_DEFAULTS[key]]));
+  const invalid = Object.keys(conversions).find((key) => !(conversions[key] > 0));
+  if (invalid) return { conversions, error: `Facteur de conversion invalide : ${CONVERSION_LABELS[invalid]}.` };
+  if (conversions.plaquetteMoisturePct >= 60) return { conversions, error: 'Humidité des plaquettes invalide (inférieure à 60 %).' };
+  return { conversions, error: null };
+}
+
+export function climateFromState(values = {}, energies = ACTIVE_ENERGIES) {
+  const climate = {
+    emissionFactorByEnergy: Object.fromEntries(Object.keys(energies.emissionFactors).map((key) => [
+      key,
+      values.factors?.[key] ?? energies.emissionFactors[key],
+    ])),
+    electricityDeclinePct: values.electricityDecline ?? 0,
+    carbonPrice: values.carbonPrice ?? 0,
+    carbonEscalationPct: values.carbonEscalation ?? 0,
+    includeCarbonCost: Boolean(values.includeCarbon),
+  };
+  const invalidFactor = Object.keys(climate.emissionFactorByEnergy).find((key) => !(climate.emissionFactorByEnergy[key] >= 0));
+  if (invalidFactor) return { climate, error: `Facteur d'émission invalide pour ${energies.labels[invalidFactor]}.` };
+  if (!(climate.electricityDeclinePct >= 0 && climate.electricityDeclinePct <= 50)) {
+    return { climate, error: 'Baisse du facteur électricité invalide (entre 0 et 50).' };
+  }
+  if (!(climate.carbonPrice >= 0)) return { climate, error: 'Prix du carbone invalide.' };
+  if (!(climate.carbonEscalationPct >= -50 && climate.carbonEscalationPct <= 100)) {
+    return { climate, error: 'Évolution du prix du carbone invalide (entre -50 et 100).' };
+  }
+  return { climate, error: null };
+}
+
+// Constant escalation rate (%) of each energy, missing values falling back to the presets
+export function escalationFromState(values = {}, energies = ACTIVE_ENERGIES) {
+  return Object.fromEntries(Object.keys(energies.escalation).map((key) => [key, values[key] ?? energies.escalation[key]]));
+}
+
+// A price table must give the start-year price, the reference of its ratios (see priceSeries)
+export function trajectoriesFromState(values = {}, startYear = null, energies = ACTIVE_ENERGIES) {
+  const trajectories = {};
+  for (const key in energies.escalation) {
+    const { mode = 'constant', spec = '' } = values[key] ?? {};
+    if (mode === 'segments') {
+      const { segments, error } = parseTrajectorySegments(spec);
+      if (error) return { trajectories, error: `Trajectoire ${energies.labels[key]} : ${error}.` };
+      trajectories[key] = { mode, segments };
+    } else if (mode === 'table') {
+      const { prices, error } = parsePriceTable(spec);
+      if (error) return { trajectories, error: `Trajectoire ${energies.labels[key]} : ${error}.` };
+      if (startYear !== null && !(prices[startYear] > 0)) {
+        return { trajectories, error: `Trajectoire ${energies.labels[key]} : prix de l'année de départ (${startYear}) manquant.` };
+      }
+      trajectories[key] = { mode, prices };
+    }
+  }
+  return { trajectories, error: null };
+}
+
+// Consumption modifiers ({ steps, drift, heatingShare, djuRef, djuBill }), null when none is set
+export function modifiersFromState(values) {
+  if (!values) return { modifiers: null, error: null };
+  const { steps, error } = parseConsumptionSteps(values.steps ?? '');
+  if (error) return { modifiers: null, error: `Consommation : ${error}.` };
+  const driftPct = values.drift ?? 0;
+  if (!(driftPct >= -50 && driftPct <= 50)) return { modifiers: null, error: 'Dérive annuelle de la consommation invalide (entre -50 et 50).' };
+  let weather = null;
+  if (values.djuRef !== null && values.djuRef !== undefined || values.djuBill !== null && values.djuBill !== undefined) {
+    weather = {
+      heatingSharePct: values.heatingShare ?? 100,
+      referenceDju: values.djuRef ?? NaN,
+      billDju: values.djuBill ?? NaN,
+    };
+    if (!(weather.referenceDju > 0 && weather.billDju > 0)) {
+      return { modifiers: null, error: 'Correction climatique : DJU de référence et de l\'année facturée requis.' };
+    }
+    if (!(weather.heatingSharePct >= 0 && weather.heatingSharePct <= 100)) {
+      return { modifiers: null, error: 'Part chauffage invalide (entre 0 et 100).' };
+    }
+  }
+  if (!steps.length && !driftPct && !weather) return { modifiers: null, error: null };
+  return { modifiers: { steps, driftPct, weather }, error: null };
+}
+
+// Rows ready for computeEvolution (kWh and €/kWh). Rows without quantity and price, and without an
+// abonnement, are left out; the periods of a tariff option default to the tariff's own values.
+export function rowsFromState(rows = [], conversions = CONVERSION_DEFAULTS, energies = ACTIVE_ENERGIES) {
+  return rows.map((row) => {
+    const tariff = row.energy === 'electricite' && row.tariff in ELECTRICITY_TARIFFS ? row.tariff : 'base';
+    const periods = ELECTRICITY_TARIFFS[tariff].periods.map((p) => {
+      const saved = row.periods?.find((s) => s.id === p.id) ?? { share: p.sharePct, unitPrice: p.unitPrice };
+      return {
+        id: p.id,
+        label: p.label,
+        sharePct: saved.share ?? NaN,
+        unitPrice: saved.unitPrice ?? NaN,
+        escalationPct: saved.escalation ?? null,
+      };
+    });
+    // Rows split across periods carry their average price, tariffError checks the periods themselves
+    const unitPrice = periods.length ? blendedPrice(periods) : (row.unitPrice ?? NaN);
+    const quantity = row.quantity ?? NaN;
+    return {
+      quantity: Number.isFinite(quantity) ? quantity : 0,
+      energy: row.energy,
+      unit: row.unit ?? 'kwh',
+      unitPrice: Number.isFinite(unitPrice) ? unitPrice : 0,
+      fixedCost: row.fixedCost ?? 0,
+      fixedEscalationPct: row.fixedEscalation ?? null,
+      ...(periods.length ? { tariff, periods } : {}),
+      consumption: modifiersFromState(row.consumption).modifiers,
+      profile: rowProfile(row),
+      hasPrice: periods.length > 0 || Number.isFinite(unitPrice),
+    };
+  })
+    .filter((r) => r.quantity >= 0 && r.unitPrice >= 0 && Number.isFinite(r.fixedCost) && r.fixedCost >= 0)
+    .filter((r) => (r.quantity > 0 && r.hasPrice) || r.fixedCost > 0)
+    .map(({ hasPrice, ...r }) => toKwhRow(r, conversions, energies));
+}
+
+// Heating derived from the useful heat demand of the building (kWh utiles/an, entered once per project):
+// the base and each scenario may pick a system, whose final consumption is added to their rows.
+// - boiler: demand ÷ efficiency (% on lower heating value) of the chosen energy;
+// - heatpump: demand ÷ SCOP, in electricity;
+// - hybrid: heatPumpShare % of the demand by the heat pump, the rest by the boiler.
+// Prices are per final kWh; the derived rows keep how they were computed in `derivation`.
+export const HEATING_SYSTEMS = {
+  none: 'Aucun (lignes saisies seulement)',
+  boiler: 'Chaudière',
+  heatpump: 'Pompe à chaleur',
+  hybrid: 'Hybride pompe à chaleur + chaudière',
+};
+export const HEATING_DEFAULTS = { efficiency: 90, scop: 3, heatPumpShare: 70 };
+
+// Numeric heating inputs: state key -> input class
+export const HEATING_FIELDS = {
+  efficiency: 'heating-efficiency',
+  fuelPrice: 'heating-fuel-price',
+  scop: 'heating-scop',
+  electricityPrice: 'heating-electricity-price',
+  heatPumpShare: 'heating-share',
+};
+
+export function heatingFromState(values = {}, heatDemandKwh = null, energies = ACTIVE_ENERGIES) {
+  const system = values.system ?? 'none';
+  if (system === 'none' || !heatDemandKwh) return { rows: [], error: null };
+  const heatPumpShare = { boiler: 0, heatpump: 100, hybrid: values.heatPumpShare ?? HEATING_DEFAULTS.heatPumpShare }[system];
+  if (!(heatPumpShare >= 0 && heatPumpShare <= 100)) return { rows: [], error: 'Part de la pompe à chaleur invalide (entre 0 et 100 %).' };
+  const demand = (share) => `${share < 100 ? `${formatNumber(share, 0)} % de ` : ''}${formatNumber(heatDemandKwh, 0)} kWh utiles`;
+  const row = (energy, share, divisor, unitPrice, derivation) => toKwhRow({
+    energy, unit: 'kwh', quantity: (heatDemandKwh * share) / 100 / divisor, unitPrice, fixedCost: 0, fixedEscalationPct: null, consumption: null,
+    profile: normalizeWeights(SEASONAL_PROFILES.heating.weights), derivation,
+  }, CONVERSION_DEFAULTS, energies);
+
+  const rows = [];
+  if (heatPumpShare > 0) {
+    const scop = values.scop ?? HEATING_DEFAULTS.scop;
+    if (!(scop > 0 && scop <= 10)) return { rows: [], error: 'SCOP de la pompe à chaleur invalide (entre 0 et 10).' };
+    if (!(Number.isFinite(values.electricityPrice) && values.electricityPrice >= 0)) return { rows: [], error: 'Prix de l\'électricité de la pompe à chaleur manquant.' };
+    rows.push(row('electricite', heatPumpShare, scop, values.electricityPrice, `${demand(heatPumpShare)} ÷ SCOP ${formatNumber(scop, 2)}`));
+  }
+  if (heatPumpShare < 100) {
+    const energy = values.energy ?? 'gaz';
+    const efficiency = values.efficiency ?? HEATING_DEFAULTS.efficiency;
+    if (!(energy in energies.labels)) return { rows: [], error: `Énergie de chaudière inconnue « ${energy} ».` };
+    if (!(efficiency > 0 && efficiency <= 120)) return { rows: [], error: 'Rendement de la chaudière invalide (entre 0 et 120 %).' };
+    if (!(Number.isFinite(values.fuelPrice) && values.fuelPrice >= 0)) return { rows: [], error: `Prix ${energies.labels[energy]} de la chaudière manquant.` };
+    rows.push(row(energy, 100 - heatPumpShare, efficiency / 100, values.fuelPrice,
+      `${demand(100 - heatPumpShare)} ÷ rendement ${formatNumber(efficiency, 1)} %`));
+  }
+  return { rows, error: null };
+}
+
+// First unreadable consumption modifier of a set and of its rows, or null
+function modifiersError(consumption, rows = []) {
+  for (const values of [consumption, ...rows.map((row) => row.consumption)]) {
+    const { error } = modifiersFromState(values);
+    if (error) return error;
+  }
+  return null;
+}
+
+// Investment parameters of a scenario, null when no investment is entered; `error` when unusable.
+export function investmentFromState(values = {}) {
+  const read = (field) => values[field] ?? 0;
+  if (!read('investment')) return { investment: null, error: null };
+  const params = {
+    investment: read('investment'),
+    subsidies: read('subsidyMpr') + read('subsidyCee'),
+    loan: { amount: read('loanAmount'), ratePct: read('loanRate'), years: read('loanYears') },
+    discountRatePct: values.discountRate ?? 3,
+  };
+  const { investment, subsidies, loan, discountRatePct } = params;
+  const fail = (error) => ({ investment: null, error });
+  if (![investment, subsidies, loan.amount, loan.ratePct, loan.years, discountRatePct].every(Number.isFinite)) {
+    return fail('Paramètres d\'investissement invalides.');
+  }
+  if (investment < 0 || subsidies < 0 || loan.amount < 0) return fail('Les montants d\'investissement doivent être positifs.');
+  if (subsidies > investment) return fail('Les aides dépassent le montant de l\'investissement.');
+  if (loan.amount > investment - subsidies) return fail('Le prêt dépasse le reste à charge après aides.');
+  if (loan.amount > 0 && (loan.years < 1 || loan.years > 30 || loan.ratePct < 0 || loan.ratePct > 20)) {
+    return fail('Prêt invalide (durée entre 1 et 30 ans, taux entre 0 et 20 %).');
+  }
+  if (discountRatePct < 0 || discountRatePct > 20) return fail('Taux d\'actualisation invalide (entre 0 et 20).');
+  return { investment: params, error: null };
+}
+
+// Equipment costs of a set (see EQUIPMENT_FIELDS), null when none is entered
+export function equipmentFromState(values = {}) {
+  const read = (field) => values[field] ?? 0;
+  const equipment = {
+    maintenance: read('maintenance'),
+    sweeping: read('sweeping'),
+    escalationPct: values.escalation ?? EQUIPMENT_DEFAULTS.escalation,
+    replacement: read('replacementCost') ? { cost: read('replacementCost'), year: values.replacementYear } : null,
+    residualValue: read('residualValue'),
+  };
+  const amounts = [equipment.maintenance, equipment.sweeping, equipment.replacement?.cost ?? 0, equipment.residualValue];
+  if (amounts.every((amount) => amount === 0)) return { equipment: null, error: null };
+  const fail = (error) => ({ equipment: null, error });
+  if (!amounts.every((amount) => Number.isFinite(amount) && amount >= 0)) return fail('Les coûts d\'entretien et de remplacement doivent être positifs.');
+  if (!(equipment.escalationPct >= -50 && equipment.escalationPct <= 100)) return fail('Évolution des coûts d\'entretien invalide (entre -50 et 100).');
+  const year = equipment.replacement?.year;
+  if (equipment.replacement && !(Number.isInteger(year) && year >= 2000 && year <= 2100)) {
+    return fail('Année du remplacement invalide (entre 2000 et 2100).');
+  }
+  return { equipment, error: null };
+}
+
+// PV of a scenario card (see PV_FIELDS), null without installed power
+export function pvFromState(values = {}) {
+  const powerKwc = values.power ?? 0;
+  if (!(powerKwc >= 0 && powerKwc <= 1000)) return { pv: null, error: 'Puissance photovoltaïque invalide (entre 0 et 1000 kWc).' };
+  if (powerKwc === 0) return { pv: null, error: null };
+  const value = (field) => values[field] ?? PV_DEFAULTS[field];
+  const pv = {
+    powerKwc,
+    yieldKwhPerKwc: value('yield'),
+    degradationPct: value('degradation'),
+    selfConsumptionPct: value('selfConsumption'),
+    feedInTariff: value('feedInTariff'),
+    feedInEscalationPct: value('feedInEscalation'),
+  };
+  if (!(pv.yieldKwhPerKwc > 0 && pv.yieldKwhPerKwc <= 3000)) return { pv: null, error: 'Productible photovoltaïque invalide (entre 0 et 3000 kWh/kWc).' };
+  if (!(pv.degradationPct >= 0 && pv.degradationPct <= 10)) return { pv: null, error: 'Dégradation des panneaux invalide (entre 0 et 10 %/an).' };
+  if (!(pv.selfConsumptionPct >= 0 && pv.selfConsumptionPct <= 100)) return { pv: null, error: 'Taux d\'autoconsommation invalide (entre 0 et 100 %).' };
+  if (!(pv.feedInTariff >= 0)) return { pv: null, error: 'Tarif de rachat du surplus invalide.' };
+  if (!(pv.feedInEscalationPct >= -50 && pv.feedInEscalationPct <= 100)) {
+    return { pv: null, error: 'Indexation du tarif de rachat invalide (entre -50 et 100).' };
+  }
+  return { pv, error: null };
+}
+
+// Monthly mode (see monthlyEvolution), null when it is off
+export function monthlyFromState(values = {}) {
+  if (!values.enabled) return { monthly: null, error: null };
+  const changeMonth = values.changeMonth ?? 1;
+  if (!(Number.isInteger(changeMonth) && changeMonth >= 1 && changeMonth <= 12)) {
+    return { monthly: null, error: 'Mois d\'évolution des prix invalide (entre 1 et 12).' };
+  }
+  return { monthly: { changeMonth }, error: null };
+}
+
+// Monte Carlo settings around the escalation rates of `energies` (ids), null when the mode is off
+export function monteCarloFromState(values, escalationPctByEnergy, energies = Object.keys(ENERGY_ESCALATION_PRESETS), labels = ENERGY_LABELS) {
+  if (!values?.enabled) return { params: null, error: null };
+  const type = values.distribution ?? 'normal';
+  const runs = values.runs ?? MONTE_CARLO_DEFAULTS.runs;
+  const seed = values.seed ?? MONTE_CARLO_DEFAULTS.seed;
+  const correlation = values.correlation ?? MONTE_CARLO_DEFAULTS.correlation;
+  if (!Number.isInteger(runs) || runs < 100 || runs > 20000) return { params: null, error: 'Nombre de simulations invalide (entre 100 et 20 000).' };
+  if (!Number.isInteger(seed)) return { params: null, error: 'La graine aléatoire doit être un nombre entier.' };
+  if (!(correlation >= 0 && correlation <= 1)) return { params: null, error: 'Corrélation invalide (entre 0 et 1).' };
+
+  const distributions = {};
+  for (const key of energies) {
+    const rate = escalationPctByEnergy[key];
+    if (type === 'normal') {
+      const sd = values.sd?.[key] ?? MONTE_CARLO_DEFAULTS.sd;
+      if (!(sd >= 0)) return { params: null, error: `Écart-type invalide pour ${labels[key]}.` };
+      distributions[key] = { type, mean: rate, sd };
+    } else {
+      const min = values.min?.[key] ?? rate - MONTE_CARLO_DEFAULTS.spread;
+      const max = values.max?.[key] ?? rate + MONTE_CARLO_DEFAULTS.spread;
+      if (!(min <= rate && rate <= max)) return { params: null, error: `${labels[key]} : il faut min ≤ taux saisi ≤ max.` };
+      distributions[key] = { type, min, mode: rate, max };
+    }
+  }
+  return { params: { distributions, correlation, runs, seed }, error: null };
+}
+
+export function valueBasisFromState(values = {}, referenceYear) {
+  const cpiPct = values.cpi ?? VALUE_BASIS_DEFAULTS.cpiPct;
+  const discountRatePct = values.discountRate ?? VALUE_BASIS_DEFAULTS.discountRatePct;
+  if (!(cpiPct >= -5 && cpiPct <= 20)) return { basis: null, error: 'Inflation générale invalide (entre -5 et 20).' };
+  if (!(discountRatePct >= 0 && discountRatePct <= 20)) return { basis: null, error: 'Taux d\'actualisation invalide (entre 0 et 20).' };
+  return { basis: makeValueBasis(values.basis ?? 'nominal', { cpiPct, discountRatePct, referenceYear }), error: null };
+}
+
+// Everything needed to compute a project state: the common assumptions, the base and, when the
+// comparison is enabled, each scenario. Energies are looked up in the project's own library, kept as
+// `library` (see energyTables): the active one is left as is. Returns { simulation, errors }; errors are
+// { field, message }, the message naming the consumption set it belongs to.
+export function prepareSimulation(state) {
+  const library = energyTables(projectEnergies(state));
+  const errors = [];
+  const check = (field, error) => {
+    if (error) errors.push({ field, message: error });
+  };
+
+  const { conversions, error: conversionError } = conversionsFromState(state.conversions);
+  check('conversions', conversionError);
+  const { climate, error: climateError } = climateFromState(state.climate, library);
+  check('climate', climateError);
+  const escalationPctByEnergy = escalationFromState(state.escalation, library);
+  const { trajectories: trajectoryByEnergy, error: trajectoryError } = trajectoriesFromState(state.trajectories, state.startYear, library);
+  check('trajectories', trajectoryError);
+  const { basis: valueBasis, error: basisError } = valueBasisFromState(state.valuation, state.startYear);
+  check('valuation', basisError);
+  const { monthly, error: monthlyError } = monthlyFromState(state.monthly);
+  check('monthly', monthlyError);
+  const heatDemandKwh = state.heatDemand ?? null;
+  if (heatDemandKwh !== null && !(heatDemandKwh >= 0)) check('heatDemand', 'Besoin de chauffage invalide.');
+
+  const readSet = ({ field, label, rows: stateRows, consumption: stateConsumption, heating, equipment: stateEquipment, hcShift = null }) => {
+    const hcShiftPct = hcShift ?? 0;
+    const { rows: heatingRows, error: heatingError } = heatingFromState(heating, heatDemandKwh >= 0 ? heatDemandKwh : null, library);
+    check(`${field}.heating`, heatingError && `${label} : ${heatingError}`);
+    const rows = shiftToOffPeak([...rowsFromState(stateRows, conversions, library), ...heatingRows], Number.isFinite(hcShiftPct) ? hcShiftPct : 0);
+    // Horizon and rates are common to every set, they are reported once with the base
+    const isCommon = (e) => e.field === 'startYear' || e.field === 'years' || e.field.startsWith('escalation.');
+    validateInputs({ startYear: state.startYear, years: state.years, escalationPctByEnergy, rows, hcShiftPct, labels: library.labels }).forEach((e) => {
+      if (!isCommon(e)) errors.push({ field: `${field}.${e.field}`, message: `${label} : ${e.message}` });
+      else if (field === 'base') errors.push(e);
+    });
+    const consumptionError = modifiersError(stateConsumption, stateRows);
+    check(`${field}.consumption`, consumptionError && `${label} : ${consumptionError}`);
+    const profileError = monthly ? profilesError(stateRows) : null;
+    check(`${field}.profile`, profileError && `${label} : ${profileError}`);
+    const { equipment, error: equipmentError } = equipmentFromState(stateEquipment);
+    check(`${field}.equipment`, equipmentError && `${label} : ${equipmentError}`);
+    return { rows, consumption: modifiersFromState(stateConsumption).modifiers, equipment };
+  };
+
+  const base = readSet({
+    field: 'base', label: 'Consommation de base', rows: state.baseRows, consumption: state.baseConsumption, heating: state.baseHeating, equipment: state.baseEquipment,
+  });
+  const scenarios = (state.scenarioEnabled ? state.scenarios : []).map((scenario, i) => {
+    const name = scenario.name?.trim() || 'Scénario sans nom';
+    const label = `Scénario « ${name} »`;
+    const set = readSet({ field: `scenarios[${i}]`, label, ...scenario });
+    const { investment, error } = investmentFromState(scenario.investment);
+    check(`scenarios[${i}].investment`, error && `${label} : ${error}`);
+    const { pv, error: pvError } = pvFromState(scenario.pv);
+    check(`scenarios[${i}].pv`, pvError && `${label} : ${pvError}`);
+    return { name, ...set, pv, investment };
+  });
+  if (state.scenarioEnabled && !scenarios.length) check('scenarios', 'Veuillez ajouter au moins un scénario à comparer.');
+
+  // Library energies are only drawn when used, so that the library does not change the draws of the others
+  const used = new Set([base, ...scenarios].flatMap((set) => set.rows.map((row) => row.energy)));
+  const { params: monteCarlo, error: monteCarloError } = monteCarloFromState(
+    state.monteCarlo,
+    escalationPctByEnergy,
+    Object.keys(library.escalation).filter((key) => isCoreEnergy(key) || used.has(key)),
+    library.labels,
+  );
+  check('monteCarlo', monteCarloError);
+
+  return {
+    simulation: {
+      startYear: state.startYear,
+      years: state.years,
+      escalationPctByEnergy,
+      trajectoryByEnergy,
+      climate,
+      valueBasis,
+      monthly,
+      base,
+      scenarios,
+      monteCarlo,
+      library,
+    },
+    errors,
+  };
+}
+
+// Projection of a prepared simulation: the base and each scenario in the chosen value basis, the
+// investment analyses (on nominal flows, they apply their own discount rate) and the Monte Carlo bands.
+export function runSimulation(simulation) {
+  const { startYear, years, escalationPctByEnergy, trajectoryByEnergy, climate, valueBasis, monthly = null } = simulation;
+  const common = { startYear, years, escalationPctByEnergy, trajectoryByEnergy, climate };
+  const evolve = ({ rows, consumption, pv = null, equipment = null }) => {
+    const evolution = computeEvolution({ ...common, rows, consumption, pv, equipment });
+    return monthly ? monthlyEvolution(evolution, rows, monthly) : evolution;
+  };
+  const nominalBase = evolve(simulation.base);
+  const scenarios = simulation.scenarios.map(({ name, investment, ...set }) => {
+    const evolution = evolve(set);
+    return {
+      name,
+      evolution: applyValueBasis(evolution, valueBasis),
+      investment: investment ? computeInvestmentAnalysis({ baseEvolution: nominalBase, scenarioEvolution: evolution, ...investment }) : null,
+    };
+  });
+  const sets = [simulation.base, ...simulation.scenarios];
+  const monteCarlo = simulation.monteCarlo
+    ? runMonteCarlo({
+      ...common,
+      rowSets: sets.map((set) => set.rows),
+      consumptionSets: sets.map((set) => set.consumption),
+      pvSets: sets.map((set) => set.pv ?? null),
+      valueBasis,
+      monthly,
+      ...simulation.monteCarlo,
+    })
+    : null;
+  return { base: applyValueBasis(nominalBase, valueBasis), scenarios, monteCarlo };
+}
+
+// Sensitivity analysis around a prepared simulation (see prepareSimulation). The measure is the
+// cumulative cost of the base or, for a compared scenario, its cumulative savings over the base, in the
+// value basis of the simulation and without the investment.
+export const SENSITIVITY_DEFAULTS = { ratePts: 2, pricePct: 20, horizonYears: 5 };
+
+// Search ranges of the break-even values: escalation rate (%/an) and factor applied to the start prices
+export const BREAK_EVEN_RANGES = { rate: [-50, 100], price: [0, 20] };
+
+// Same simulation with the escalation rate of an energy moved by `ratePts` and its start prices (unit and
+// period prices, not the abonnement) multiplied by `priceFactor`. Trajectory periods move with the rate.
+function adjustEnergy(simulation, energy, { ratePts = 0, priceFactor = 1 }) {
+  const scale = (rows) => rows.map((r) => (r.energy !== energy ? r : {
+    ...r,
+    unitPrice: r.unitPrice * priceFactor,
+    ...(r.periods ? { periods: r.periods.map((p) => ({ ...p, unitPrice: p.unitPrice * priceFactor })) } : {}),
+  }));
+  return {
+    ...simulation,
+    escalationPctByEnergy: { ...simulation.escalationPctByEnergy, [energy]: (simulation.escalationPctByEnergy[energy] ?? 0) + ratePts },
+    trajectoryByEnergy: shiftTrajectories(simulation.trajectoryByEnergy, { [energy]: ratePts }),
+    base: { ...simulation.base, rows: scale(simulation.base.rows) },
+    scenarios: simulation.scenarios.map((s) => ({ ...s, rows: scale(s.rows) })),
+  };
+}
+
+// Cumulative cost of the base, or savings of scenario `scenarioIndex` over the base
+function sensitivityMeasure(simulation, scenarioIndex = null) {
+  const { startYear, years, escalationPctByEnergy, trajectoryByEnergy, climate, valueBasis, monthly = null } = simulation;
+  const cost = ({ rows, consumption, pv = null }) => {
+    const yearly = computeEvolution({ startYear, years, rows, consumption, pv, escalationPctByEnergy, trajectoryByEnergy, climate });
+    const evolution = monthly ? monthlyEvolution(yearly, rows, monthly) : yearly;
+    return cumulativeTotal(valueBasis ? applyValueBasis(evolution, valueBasis) : evolution);
+  };
+  const base = cost(simulation.base);
+  return scenarioIndex === null ? base : base - cost(simulation.scenarios[scenarioIndex]);
+}
+
+// Energies of the base and, when compared, of the scenario, in order of appearance
+export function simulationEnergies(simulation, scenarioIndex = null) {
+  const sets = [simulation.base, ...(scenarioIndex === null ? [] : [simulation.scenarios[scenarioIndex]])];
+  return [...new Set(sets.flatMap((set) => set.rows.map((r) => r.energy)))];
+}
+
+// Measure with each escalation rate (± ratePts points), each start price (± pricePct %) and the horizon
+// (± horizonYears, within 0 to 50 years) moved one at a time. Returns { measure, reference, bars } with
+// bars [{ key, label, lowLabel, highLabel, low, high }] sorted by decreasing spread (tornado order).
+export function sensitivityAnalysis(simulation, { scenarioIndex = null, ratePts, pricePct, horizonYears } = SENSITIVITY_DEFAULTS) {
+  const measure = (s) => sensitivityMeasure(s, scenarioIndex);
+  const energies = simulationEnergies(simulation, scenarioIndex);
+  const labels = simulation.library?.labels ?? ENERGY_LABELS;
+  const bars = [
+    ...energies.map((energy) => ({
+      key: `rate-${energy}`,
+      label: `Évolution du prix ${labels[energy]}`,
+      lowLabel: `−${formatNumber(ratePts, 1)} pt`,
+      highLabel: `+${formatNumber(ratePts, 1)} pt`,
+      low: measure(adjustEnergy(simulation, energy, { ratePts: -ratePts })),
+      high: measure(adjustEnergy(simulation, energy, { ratePts })),
+    })),
+    ...energies.map((energy) => ({
+      key: `price-${energy}`,
+      label: `Prix de départ ${labels[energy]}`,
+      lowLabel: `−${formatNumber(pricePct, 1)} %`,
+      highLabel: `+${formatNumber(pricePct, 1)} %`,
+      low: measure(adjustEnergy(simulation, energy, { priceFactor: 1 - pricePct / 100 })),
+      high: measure(adjustEnergy(simulation, energy, { priceFactor: 1 + pricePct / 100 })),
+    })),
+  ];
+  const shorter = Math.max(simulation.years - horizonYears, 0);
+  const longer = Math.min(simulation.years + horizonYears, 50);
+  bars.push({
+    key: 'horizon',
+    label: 'Nombre d\'années',
+    lowLabel: `${shorter} ans`,
+    highLabel: `${longer} ans`,
+    low: measure({ ...simulation, years: shorter }),
+    high: measure({ ...simulation, years: longer }),
+  });
+  return {
+    measure: scenarioIndex === null ? 'cost' : 'savings',
+    reference: measure(simulation),
+    bars: bars.sort((a, b) => Math.abs(b.high - b.low) - Math.abs(a.high - a.low)),
+  };
+}
+
+// Escalation rate (%/an, parameter 'rate') or start price factor ('price') of `energy` at which scenario
+// `scenarioIndex` and the base cost the same over the horizon, found by bisection in BREAK_EVEN_RANGES.
+// Returns { current, value }, value being null when the savings keep the same sign over the whole range.
+export function solveBreakEven(simulation, { scenarioIndex = 0, energy, parameter }) {
+  const current = parameter === 'rate' ? simulation.escalationPctByEnergy[energy] ?? 0 : 1;
+  const savings = (value) => sensitivityMeasure(parameter === 'rate'
+    ? adjustEnergy(simulation, energy, { ratePts: value - current })
+    : adjustEnergy(simulation, energy, { priceFactor: value }), scenarioIndex);
+  let [low, high] = BREAK_EVEN_RANGES[parameter];
+  let savingsLow = savings(low);
+  const savingsHigh = savings(high);
+  if (savingsLow === 0) return { current, value: low };
+  if (savingsHigh === 0) return { current, value: high };
+  if (Math.sign(savingsLow) === Math.sign(savingsHigh)) return { current, value: null };
+  for (let i = 0; i < 100 && high - low > 1e-7; i += 1) {
+    const mid = (low + high) / 2;
+    const savingsMid = savings(mid);
+    if (Math.sign(savingsMid) === Math.sign(savingsLow)) {
+      low = mid;
+      savingsLow = savingsMid;
+    } else {
+      high = mid;
+    }
+  }
+  return { current, value: (low + high) / 2 };
+}
+
+// Portfolio of sites (a landlord's flats, the buildings of a municipality): { schemaVersion, name,
+// startYear, years, valuation, escalation, trajectories, sites: [{ name, overrideAssumptions, state }] }.
+// Each site is a project state; its base and its first scenario, when scenarios are enabled, are counted.
+// The period and the value basis of the portfolio apply to every site so that their amounts add up; its
+// escalation rates and trajectories apply to the sites that do not override them.
+export const PORTFOLIO_SCHEMA_VERSION = 1;
+const PORTFOLIO_PERIOD_FIELDS = ['startYear', 'years', 'valuation'];
+const PORTFOLIO_ASSUMPTION_FIELDS = ['escalation', 'trajectories'];
+
+// Project state of a site as computed in the portfolio
+export function portfolioSiteState(portfolio, site) {
+  const shared = [...PORTFOLIO_PERIOD_FIELDS, ...(site.overrideAssumptions ? [] : PORTFOLIO_ASSUMPTION_FIELDS)];
+  const state = migrateProjectState(site.state);
+  return { ...state, name: site.name, ...Object.fromEntries(shared.filter((field) => portfolio[field] !== undefined).map((field) => [field, portfolio[field]])) };
+}
+
+export function validatePortfolioState(portfolio) {
+  if (!isPlainObject(portfolio)) return ['Portefeuille invalide.'];
+  const errors = [];
+  if (portfolio.name !== undefined && typeof portfolio.name !== 'string') errors.push('name : texte attendu.');
+  if (!Array.isArray(portfolio.sites)) return [...errors, 'sites : liste attendue.'];
+  // Sites are summed year by year, so they all use the period of the portfolio
+  if (portfolio.sites.length && (portfolio.startYear === undefined || portfolio.years === undefined)) {
+    errors.push('startYear, years : période du portefeuille attendue.');
+  }
+  portfolio.sites.forEach((site, i) => {
+    if (!isPlainObject(site) || typeof site.name !== 'string' || !isPlainObject(site.state)
+      || (site.overrideAssumptions !== undefined && typeof site.overrideAssumptions !== 'boolean')) {
+      errors.push(`sites[${i}] : site invalide.`);
+      return;
+    }
+    validateProjectState(portfolioSiteState(portfolio, site)).forEach((error) => errors.push(`${site.name || `Site ${i + 1}`} : ${error}`));
+  });
+  return errors;
+}
+
+// Projection of every site without the Monte Carlo mode, and their sum by year: `base` and `withScenarios`
+// (the scenario of each site that has one, its base otherwise). Sites are ranked by their savings.
+export function runPortfolio(portfolio) {
+  const errors = [];
+  const sites = [];
+  portfolio.sites.forEach((site, index) => {
+    const name = site.name || `Site ${index + 1}`;
+    const { simulation, errors: siteErrors } = prepareSimulation(portfolioSiteState(portfolio, site));
+    if (siteErrors.length) {
+      errors.push(...siteErrors.map((e) => `${name} : ${e.message}`));
+      return;
+    }
+    const { base, scenarios } = runSimulation({ ...simulation, scenarios: simulation.scenarios.slice(0, 1), monteCarlo: null });
+    const scenario = scenarios[0] ?? null;
+    const baseCost = cumulativeTotal(base);
+    const scenarioCost = scenario ? cumulativeTotal(scenario.evolution) : baseCost;
+    sites.push({ index, name, base, scenario, baseCost, scenarioCost, savings: baseCost - scenarioCost });
+  });
+
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+  const rows = (sites[0]?.base.rows ?? []).map((row, i) => {
+    const bySite = sites.map((s) => s.base.rows[i].total);
+    return {
+      year: row.year,
+      base: sum(bySite),
+      withScenarios: sum(sites.map((s) => (s.scenario?.evolution ?? s.base).rows[i].total)),
+      bySite,
+    };
+  });
+  return {
+    sites,
+    rows,
+    baseCost: sum(sites.map((s) => s.baseCost)),
+    scenarioCost: sum(sites.map((s) => s.scenarioCost)),
+    ranking: [...sites].sort((a, b) => b.savings - a.savings),
+    basis: sites[0]?.base.basis ?? null,
+    errors,
+  };
+}
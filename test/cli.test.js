@@ -0,0 +1,60 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { readProjects, runProjects, formatResults } from '../cli.js';
+
+const cli = fileURLToPath(new URL('../cli.js', import.meta.url));
+const dir = mkdtempSync(join(tmpdir(), 'facture-energie-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+const dwellings = 'logement;energie;quantite;prix;abonnement\nMaison;gaz;10000;0,1;200\nAppartement;electricite;3000;0,25;\n';
+
+test('readProjects accepts one project or a list, and migrates old projects', () => {
+  const state = { schemaVersion: 1, startYear: 2025, years: 5, escalation: {}, baseRows: [{ energy: 'gaz', kwh: 100, unitPrice: 0.1 }], scenarioEnabled: false, scenarios: [] };
+  assert.equal(readProjects(JSON.stringify(state)).projects[0].baseRows[0].quantity, 100);
+  assert.equal(readProjects(JSON.stringify([state, state])).projects.length, 2);
+  assert.match(readProjects('{').error, /JSON/);
+  assert.match(readProjects(JSON.stringify({ ...state, years: 'dix' })).error, /^projet 1 : years/);
+});
+
+test('runProjects keeps the projects that compute and reports the others', () => {
+  const { projects } = readProjects(`${dwellings}Vide;gaz;0;0,1;\n`, { csv: true, startYear: 2025, years: 3 });
+  const { results, errors } = runProjects(projects);
+  assert.deepEqual(results.map((r) => r.name), ['Maison', 'Appartement']);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^Vide : /);
+  assert.match(formatResults(results, 'text'), /^Maison \(2025–2028, euros courants\)/);
+  assert.equal(JSON.parse(formatResults(results, 'json'))[1].name, 'Appartement');
+});
+
+test('the command writes CSV results and fails on invalid input', () => {
+  const input = join(dir, 'logements.csv');
+  const output = join(dir, 'resultats.csv');
+  writeFileSync(input, dwellings);
+  execFileSync(process.execPath, [cli, input, '--format', 'csv', '--output', output, '--start-year', '2025', '--years', '2']);
+  const lines = readFileSync(output, 'utf8').trim().split('\r\n');
+  assert.equal(lines.length, 4);
+  assert.match(lines[2], /^Maison;Base;\d+,\d{2};1200,00;/);
+
+  const invalid = join(dir, 'invalide.csv');
+  writeFileSync(invalid, 'logement;energie;quantite;prix\nMaison;charbon;1;1\n');
+  const run = spawnSync(process.execPath, [cli, invalid], { encoding: 'utf8' });
+  assert.equal(run.status, 1);
+  assert.match(run.stderr, /énergie « charbon » inconnue/);
+  assert.equal(spawnSync(process.execPath, [cli], { encoding: 'utf8' }).status, 1);
+});
+
+test('the command reads the dwellings with an exported energy library', () => {
+  const library = join(dir, 'energies.json');
+  const energy = { id: 'geothermie', label: 'Géothermie', color: '#0ea5e9', unitPrice: 0.05, escalationPct: 0, emissionFactor: 0.02, unit: null };
+  writeFileSync(library, JSON.stringify({ energies: [energy] }));
+  const input = join(dir, 'geothermie.csv');
+  writeFileSync(input, 'logement;energie;quantite;prix\nMaison;Géothermie;10000;0,05\n');
+  const output = execFileSync(process.execPath, [cli, input, '--energies', library, '--years', '1'], { encoding: 'utf8' });
+  assert.match(output, /Base : 1\s000\s€ cumulés/);
+  assert.equal(spawnSync(process.execPath, [cli, input], { encoding: 'utf8' }).status, 1);
+});
@@ -0,0 +1,445 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseNumber, toKwhRow, computeEvolution, annualGrowthPct, cumulativeTotal, priceSeries, parseTrajectorySegments,
+  parseBillsCsv, fitEscalation, parseDwellingsCsv, tariffError, shiftToOffPeak, makeValueBasis, applyValueBasis,
+  runMonteCarlo, loanAnnuity, loanBalance, computeInvestmentAnalysis, internalRateOfReturn, validateInputs, prepareSimulation, runSimulation,
+  migrateProjectState, validateProjectState, buildSummaryCsv, sensitivityAnalysis, solveBreakEven, PROJECT_SCHEMA_VERSION,
+  ENERGY_ESCALATION_PRESETS, ENERGY_LABELS, DEFAULT_ENERGY_LIBRARY, validateEnergyLibrary, energyIdFromLabel,
+  heatingFromState, equipmentFromState, cumulativeOwnershipCost, monthlyEvolution, directDebitPlan,
+  validatePortfolioState, runPortfolio, detailEnergyLabel,
+} from '../engine.js';
+
+const close = (actual, expected, epsilon = 1e-6) => assert.ok(Math.abs(actual - expected) < epsilon, `${actual} ≉ ${expected}`);
+
+const gasRow = (quantity = 10000, unitPrice = 0.1) => toKwhRow({ energy: 'gaz', unit: 'kwh', quantity, unitPrice, fixedCost: 0, fixedEscalationPct: null });
+
+const project = (overrides = {}) => ({
+  schemaVersion: PROJECT_SCHEMA_VERSION,
+  name: 'Maison',
+  startYear: 2025,
+  years: 10,
+  escalation: {},
+  baseRows: [{ energy: 'gaz', unit: 'kwh', quantity: 10000, unitPrice: 0.1, fixedCost: 200, fixedEscalation: null }],
+  scenarioEnabled: false,
+  scenarios: [],
+  ...overrides,
+});
+
+test('parseNumber accepts a decimal comma and rejects empty input', () => {
+  assert.equal(parseNumber('0,25'), 0.25);
+  assert.equal(parseNumber(12), 12);
+  assert.ok(Number.isNaN(parseNumber('')));
+  assert.ok(Number.isNaN(parseNumber(null)));
+  assert.ok(Number.isNaN(parseNumber('abc')));
+});
+
+test('toKwhRow converts native units to kWh and €/kWh', () => {
+  const row = toKwhRow({ energy: 'fioul', unit: 'l', quantity: 1000, unitPrice: 1.2 });
+  close(row.kwh, 1000 * row.kwhPerUnit);
+  close(row.unitPrice * row.kwhPerUnit, 1.2);
+  assert.equal(row.unit, 'l');
+  assert.equal(toKwhRow({ energy: 'gaz', unit: 'inconnue', quantity: 1, unitPrice: 1 }).unit, 'kwh');
+});
+
+test('computeEvolution compounds the escalation rate of each energy', () => {
+  const evolution = computeEvolution({ startYear: 2025, years: 2, rows: [gasRow()], escalationPctByEnergy: { gaz: 10 } });
+  assert.deepEqual(evolution.rows.map((r) => r.year), [2025, 2026, 2027]);
+  close(evolution.rows[0].total, 1000);
+  close(evolution.rows[1].total, 1100);
+  close(evolution.rows[2].total, 1210);
+  close(cumulativeTotal(evolution), 3310);
+});
+
+test('computeEvolution with years = 0 projects the start year only', () => {
+  const evolution = computeEvolution({ startYear: 2025, years: 0, rows: [gasRow()], escalationPctByEnergy: { gaz: 3 } });
+  assert.equal(evolution.rows.length, 1);
+  close(evolution.rows[0].total, 1000);
+});
+
+test('annualGrowthPct is the CAGR of the totals, 0 without a second year', () => {
+  const evolution = computeEvolution({ startYear: 2025, years: 5, rows: [gasRow()], escalationPctByEnergy: { gaz: 4 } });
+  close(annualGrowthPct(evolution), 4);
+  const single = computeEvolution({ startYear: 2025, years: 0, rows: [gasRow()], escalationPctByEnergy: { gaz: 4 } });
+  assert.equal(annualGrowthPct(single), 0);
+  assert.equal(annualGrowthPct({ rows: [] }), 0);
+  assert.equal(annualGrowthPct({ rows: [{ total: 0 }, { total: 100 }] }), 0);
+});
+
+test('priceSeries follows segments and explicit yearly prices', () => {
+  const { segments } = parseTrajectorySegments('2026-2027: 10; 2028+: 0');
+  const series = priceSeries({ startYear: 2025, years: 4, basePrice: 100, constantPct: 5, trajectory: { mode: 'segments', segments } });
+  [100, 110, 121, 121, 121].forEach((price, i) => close(series[i], price));
+  // Table prices are relative to the start-year price, so they scale with the price of the row
+  const trajectory = { mode: 'table', prices: { 2025: 0.5, 2026: 1 } };
+  assert.deepEqual(priceSeries({ startYear: 2025, years: 2, basePrice: 1, constantPct: 0, trajectory }), [1, 2, 2]);
+  assert.deepEqual(priceSeries({ startYear: 2025, years: 2, basePrice: 3, constantPct: 0, trajectory }), [3, 6, 6]);
+  assert.ok(parseTrajectorySegments('2027-2025: 3').error);
+});
+
+test('a price table in the native unit applies to each row from its own price', () => {
+  const { simulation, errors } = prepareSimulation(project({
+    years: 1,
+    trajectories: { fioul: { mode: 'table', spec: '2025: 1,2; 2026: 1,5' }, gaz: { mode: 'table', spec: '2025: 0,1; 2026: 0,12' } },
+    baseRows: [
+      { energy: 'fioul', unit: 'l', quantity: 1000, unitPrice: 1.2, fixedCost: 0, fixedEscalation: null },
+      { energy: 'gaz', unit: 'kwh', quantity: 1000, unitPrice: 0.1, fixedCost: 0, fixedEscalation: null },
+      { energy: 'gaz', unit: 'kwh', quantity: 1000, unitPrice: 0.2, fixedCost: 0, fixedEscalation: null },
+    ],
+  }));
+  assert.deepEqual(errors, []);
+  const [, second] = runSimulation(simulation).base.rows;
+  close(second.details[0].variableCost, 1500);
+  close(second.details[1].variableCost, 120);
+  close(second.details[2].variableCost, 240);
+
+  const missing = prepareSimulation(project({ trajectories: { gaz: { mode: 'table', spec: '2026: 0,12' } } }));
+  assert.match(missing.errors[0].message, /prix de l'année de départ \(2025\) manquant/);
+});
+
+test('tariff periods must add up to 100 % and shift towards off-peak hours', () => {
+  const row = {
+    energy: 'electricite',
+    tariff: 'hphc',
+    periods: [
+      { id: 'hp', sharePct: 60, unitPrice: 0.27, escalationPct: null },
+      { id: 'hc', sharePct: 40, unitPrice: 0.2, escalationPct: null },
+    ],
+  };
+  assert.equal(tariffError([row]), null);
+  assert.match(tariffError([{ ...row, periods: [{ ...row.periods[0], sharePct: 50 }, row.periods[1]] }]), /100 %/);
+  const [shifted] = shiftToOffPeak([row], 50);
+  close(shifted.periods[0].sharePct, 30);
+  close(shifted.periods[1].sharePct, 70);
+});
+
+test('value bases deflate amounts but not quantities', () => {
+  const evolution = computeEvolution({ startYear: 2025, years: 1, rows: [gasRow()], escalationPctByEnergy: { gaz: 2 } });
+  const constant = applyValueBasis(evolution, makeValueBasis('constant', { cpiPct: 2, discountRatePct: 3, referenceYear: 2025 }));
+  close(constant.rows[1].total, 1000);
+  close(constant.rows[1].kwhTotal, evolution.rows[1].kwhTotal);
+});
+
+test('runMonteCarlo is reproducible with a seed', () => {
+  const params = {
+    startYear: 2025,
+    years: 5,
+    rowSets: [[gasRow()]],
+    escalationPctByEnergy: { gaz: 3 },
+    distributions: { gaz: { type: 'normal', mean: 3, sd: 2 } },
+    correlation: 0.5,
+    runs: 200,
+    seed: 7,
+  };
+  const first = runMonteCarlo(params);
+  assert.deepEqual(runMonteCarlo(params), first);
+  assert.notDeepEqual(runMonteCarlo({ ...params, seed: 8 }).base.cumulative, first.base.cumulative);
+  assert.ok(first.base.cumulative.p10 <= first.base.cumulative.p50 && first.base.cumulative.p50 <= first.base.cumulative.p90);
+});
+
+test('loan annuity and internal rate of return', () => {
+  close(loanAnnuity(1000, 0, 4), 250);
+  assert.equal(loanAnnuity(0, 5, 10), 0);
+  close(internalRateOfReturn([-1000, 1100]), 10, 1e-4);
+  assert.equal(internalRateOfReturn([100, 100]), null);
+});
+
+test('computeInvestmentAnalysis takes payback from the flows and repays the loan within the horizon', () => {
+  const evolution = (totals) => ({ rows: totals.map((total, i) => ({ year: 2025 + i, total })) });
+  const analysis = (savings, params) => computeInvestmentAnalysis({
+    baseEvolution: evolution(savings.map((s) => 1000 + s)), scenarioEvolution: evolution(savings.map(() => 1000)), subsidies: 0, loan: null, discountRatePct: 0, ...params,
+  });
+
+  // Fully borrowed: nothing is paid up front, but the savings never cover the instalments
+  const borrowed = analysis(Array(11).fill(100), { investment: 10000, loan: { amount: 10000, ratePct: 0, years: 10 } });
+  assert.equal(borrowed.paybackYear, null);
+  close(borrowed.flows.at(-1).cumulative, 1100 - 10000);
+
+  // Back below zero in 2027: payback only once the total stays positive
+  assert.equal(analysis([600, 600, -300, 400], { investment: 1000 }).paybackYear, 2028);
+
+  // A loan running past the horizon is repaid in its last year
+  const long = analysis(Array(6).fill(0), { investment: 20000, loan: { amount: 20000, ratePct: 0, years: 20 } });
+  close(long.flows.at(-1).loanPayment, 1000 + 14000);
+  close(long.flows.at(-1).cumulative, -20000);
+  close(long.npv, -20000);
+  close(loanBalance(1000, 5, 2, 1), 1000 * 1.05 - loanAnnuity(1000, 5, 2));
+});
+
+test('parseBillsCsv reads separators, headers and native units', () => {
+  const { bills, error } = parseBillsCsv('date;énergie;quantité;montant;unité\n2022;Gaz naturel;12 000;1 200 €\n15/01/2023;fioul;1000;1,2;L');
+  assert.equal(error, null);
+  assert.deepEqual(bills.map((b) => [b.year, b.energy, b.unit]), [[2022, 'gaz', 'kwh'], [2023, 'fioul', 'l']]);
+  assert.match(parseBillsCsv('2022;Charbon;100;10').error, /inconnue/);
+  assert.equal(parseBillsCsv('').error, 'aucune facture saisie');
+  assert.equal(parseBillsCsv('2022;gaz;12000;1200\n2023;gaz;12000;0').error, 'ligne 2 : montant invalide');
+});
+
+test('fitEscalation by CAGR and by log-linear regression', () => {
+  const points = [{ year: 2020, unitPrice: 1 }, { year: 2021, unitPrice: 1.1 }, { year: 2022, unitPrice: 1.21 }];
+  close(fitEscalation(points, 'cagr'), 10);
+  close(fitEscalation(points, 'regression'), 10);
+  assert.equal(fitEscalation(points.slice(0, 1)), null);
+});
+
+test('parseDwellingsCsv groups the lines of each dwelling into a project', () => {
+  const { projects, error } = parseDwellingsCsv(
+    'logement;energie;quantite;prix;unite;annees\nA;gaz;10000;0,1;;5\nA;électricité;3000;0,25\nB;fioul;1500;1,1;L',
+    { startYear: 2025, years: 10 },
+  );
+  assert.equal(error, null);
+  assert.deepEqual(projects.map((p) => [p.name, p.years, p.baseRows.length]), [['A', 5, 2], ['B', 10, 1]]);
+  projects.forEach((p) => assert.deepEqual(validateProjectState(p), []));
+  assert.match(parseDwellingsCsv('logement;energie;quantite').error, /prix/);
+  assert.match(parseDwellingsCsv('logement;energie;quantite;prix\nA;gaz;-1;0,1').error, /ligne 2/);
+});
+
+test('validateInputs returns structured errors', () => {
+  const rows = [gasRow()];
+  const escalationPctByEnergy = { ...ENERGY_ESCALATION_PRESETS };
+  assert.deepEqual(validateInputs({ startYear: 2025, years: 10, escalationPctByEnergy, rows }), []);
+  assert.deepEqual(validateInputs({ startYear: 2025, years: 0, escalationPctByEnergy, rows }), []);
+  const fields = (input) => validateInputs({ startYear: 2025, years: 10, escalationPctByEnergy, rows, ...input }).map((e) => e.field);
+  assert.deepEqual(fields({ years: 51 }), ['years']);
+  assert.deepEqual(fields({ startYear: 1999 }), ['startYear']);
+  assert.deepEqual(fields({ escalationPctByEnergy: { ...escalationPctByEnergy, gaz: 150 } }), ['escalation.gaz']);
+  assert.deepEqual(fields({ rows: [] }), ['rows']);
+  assert.deepEqual(fields({ hcShiftPct: 120 }), ['hcShift']);
+});
+
+test('prepareSimulation checks the scenarios like the base and names them', () => {
+  const scenario = { name: 'PAC', rows: [], investment: { investment: 1000, subsidyMpr: 2000 } };
+  const { errors } = prepareSimulation(project({ years: 60, scenarioEnabled: true, scenarios: [scenario] }));
+  const messages = errors.map((e) => e.message);
+  assert.equal(messages.filter((m) => m.startsWith('Nombre d\'années')).length, 1);
+  assert.ok(messages.some((m) => m.startsWith('Scénario « PAC » : Veuillez ajouter')));
+  assert.ok(messages.some((m) => m.startsWith('Scénario « PAC » : Les aides dépassent')));
+  assert.deepEqual(prepareSimulation(project({ scenarioEnabled: true })).errors.map((e) => e.field), ['scenarios']);
+});
+
+test('runSimulation computes the base, the scenarios and their investment', () => {
+  const { simulation, errors } = prepareSimulation(project({
+    escalation: { gaz: 5, electricite: 2 },
+    scenarioEnabled: true,
+    scenarios: [{
+      name: 'PAC',
+      rows: [{ energy: 'electricite', unit: 'kwh', quantity: 4000, unitPrice: 0.2 }],
+      investment: { investment: 8000 },
+    }],
+  }));
+  assert.deepEqual(errors, []);
+  const { base, scenarios, monteCarlo } = runSimulation(simulation);
+  assert.equal(base.rows.length, 11);
+  close(base.rows[0].total, 1200);
+  assert.equal(scenarios[0].name, 'PAC');
+  close(scenarios[0].evolution.rows[0].total, 800);
+  assert.equal(scenarios[0].investment.flows.length, 11);
+  assert.equal(monteCarlo, null);
+  const csv = buildSummaryCsv([{ name: 'Maison', base, scenarios }]);
+  assert.match(csv, /Maison;PAC;/);
+});
+
+test('migrateProjectState upgrades v1 rows and validateProjectState reports bad fields', () => {
+  const migrated = migrateProjectState({ ...project(), schemaVersion: 1, baseRows: [{ energy: 'gaz', kwh: 5000, unitPrice: 0.1 }] });
+  assert.equal(migrated.schemaVersion, 2);
+  assert.deepEqual(migrated.baseRows[0], { energy: 'gaz', unit: 'kwh', quantity: 5000, unitPrice: 0.1 });
+  assert.deepEqual(validateProjectState(migrated), []);
+  assert.deepEqual(validateProjectState(project({ baseRows: [{ energy: 'charbon' }] })), ['baseRows[0].energy : énergie inconnue « charbon ».']);
+  assert.deepEqual(validateProjectState(null), ['Le fichier ne contient pas un projet.']);
+});
+
+const heatPumpSimulation = () => prepareSimulation(project({
+  years: 15,
+  escalation: { gaz: 3, electricite: 3 },
+  scenarioEnabled: true,
+  scenarios: [{ name: 'PAC', rows: [{ energy: 'electricite', unit: 'kwh', quantity: 4000, unitPrice: 0.25 }] }],
+})).simulation;
+
+test('sensitivityAnalysis moves one input at a time around the reference', () => {
+  const simulation = heatPumpSimulation();
+  const cost = sensitivityAnalysis(simulation, { ratePts: 2, pricePct: 10, horizonYears: 5 });
+  assert.equal(cost.measure, 'cost');
+  assert.deepEqual(cost.bars.map((b) => b.key).sort(), ['horizon', 'price-gaz', 'rate-gaz']);
+  const price = cost.bars.find((b) => b.key === 'price-gaz');
+  assert.ok(price.low < cost.reference && cost.reference < price.high);
+  // Over the start year alone, +10 % on 10000 kWh at 0.1 €; the abonnement does not move with the price
+  const firstYear = sensitivityAnalysis({ ...simulation, years: 0 }, { ratePts: 2, pricePct: 10, horizonYears: 0 });
+  close(firstYear.reference, 1200);
+  close(firstYear.bars.find((b) => b.key === 'price-gaz').high, 1300);
+
+  const savings = sensitivityAnalysis(simulation, { scenarioIndex: 0, ratePts: 2, pricePct: 10, horizonYears: 5 });
+  assert.equal(savings.measure, 'savings');
+  const electricity = savings.bars.find((b) => b.key === 'rate-electricite');
+  assert.ok(electricity.high < savings.reference && savings.reference < electricity.low);
+  const spreads = savings.bars.map((b) => Math.abs(b.high - b.low));
+  assert.deepEqual(spreads, [...spreads].sort((a, b) => b - a));
+});
+
+test('solveBreakEven finds the rate and the start price where the costs are equal', () => {
+  const simulation = heatPumpSimulation();
+  const rate = solveBreakEven(simulation, { scenarioIndex: 0, energy: 'electricite', parameter: 'rate' });
+  assert.equal(rate.current, 3);
+  const atRate = sensitivityAnalysis({ ...simulation, escalationPctByEnergy: { ...simulation.escalationPctByEnergy, electricite: rate.value } }, { scenarioIndex: 0, ratePts: 0, pricePct: 0, horizonYears: 0 });
+  close(atRate.reference, 0, 1e-3);
+
+  // Same start year: 10000 kWh of gas at 0.1 + 200 € against 4000 kWh of electricity at 0.25 × k
+  const price = solveBreakEven({ ...simulation, years: 0 }, { scenarioIndex: 0, energy: 'electricite', parameter: 'price' });
+  close(price.value, 1.2, 1e-6);
+  assert.equal(solveBreakEven(simulation, { scenarioIndex: 0, energy: 'gaz', parameter: 'rate' }).value < 3, true);
+  const never = solveBreakEven({ ...simulation, years: 0 }, { scenarioIndex: 0, energy: 'gaz', parameter: 'rate' });
+  assert.equal(never.value, null);
+});
+
+const geothermal = { id: 'geothermie', label: 'Géothermie', color: '#0ea5e9', unitPrice: 0.05, escalationPct: 1, emissionFactor: 0.02, unit: null };
+
+test('validateEnergyLibrary checks ids, labels and units of the entries', () => {
+  assert.deepEqual(validateEnergyLibrary(DEFAULT_ENERGY_LIBRARY), []);
+  assert.deepEqual(validateEnergyLibrary([{ ...geothermal, id: 'gaz' }]), ['Énergie n° 1 : identifiant « gaz » déjà utilisé.']);
+  assert.deepEqual(validateEnergyLibrary([{ ...geothermal, label: '<b>' }]), ['Énergie n° 1 : nom attendu, sans < > & ".']);
+  assert.deepEqual(validateEnergyLibrary([{ ...geothermal, unit: { id: 'sac', label: 'sac', kwhPerUnit: 0 } }]), [
+    'Géothermie : unité invalide (nom et kWh par unité positifs attendus).',
+  ]);
+  assert.equal(energyIdFromLabel('Bûches de chêne', ['buches_de_chene']), 'buches_de_chene_2');
+});
+
+test('a project runs with the energies of its own library', () => {
+  const state = project({
+    energies: [geothermal, { ...geothermal, id: 'bois', label: 'Bois', unit: { id: 'stere', label: 'stère', kwhPerUnit: 1500 } }],
+    baseRows: [{ energy: 'bois', unit: 'stere', quantity: 10, unitPrice: 75 }],
+    scenarioEnabled: true,
+    scenarios: [{ name: 'Géothermie', rows: [{ energy: 'geothermie', unit: 'kwh', quantity: 15000, unitPrice: 0.04 }] }],
+  });
+  assert.deepEqual(validateProjectState(state), []);
+  const { simulation, errors } = prepareSimulation(state);
+  assert.deepEqual(errors, []);
+  const { base, scenarios } = runSimulation(simulation);
+  close(base.rows[1].total, 750 * 1.01);
+  close(scenarios[0].evolution.rows[0].emissionsT, 15000 * 0.02 / 1000);
+  assert.equal(detailEnergyLabel(base.rows[0].details[0]), 'Bois');
+  assert.equal(sensitivityAnalysis(simulation, { scenarioIndex: 0, ratePts: 1, pricePct: 10, horizonYears: 1 }).bars.some((bar) => bar.label === 'Prix de départ Géothermie'), true);
+
+  // The active library, the one of the page, is left as is
+  assert.equal(ENERGY_LABELS.bois, undefined);
+  assert.equal(ENERGY_LABELS.buches, 'Bûches');
+
+  // Without a library of its own, a project only knows the default one
+  assert.deepEqual(validateProjectState(project({ baseRows: [{ energy: 'geothermie' }] })), ['baseRows[0].energy : énergie inconnue « geothermie ».']);
+  assert.equal(parseBillsCsv('2024;Bûches;8;680;stères').bills[0].unit, 'stere');
+});
+
+test('computeEvolution takes the self-consumed PV off the electricity and sells the surplus', () => {
+  const electricity = toKwhRow({ energy: 'electricite', unit: 'kwh', quantity: 3000, unitPrice: 0.25, fixedCost: 0, fixedEscalationPct: null });
+  const pv = { powerKwc: 6, yieldKwhPerKwc: 1000, degradationPct: 1, selfConsumptionPct: 60, feedInTariff: 0.1, feedInEscalationPct: 2 };
+  const { rows } = computeEvolution({ startYear: 2025, years: 1, rows: [electricity], escalationPctByEnergy: { electricite: 0 }, pv });
+  // 6000 kWh produced, 3600 to self-consume but only 3000 bought: everything else is sold
+  assert.deepEqual(rows[0].pv, { productionKwh: 6000, selfConsumedKwh: 3000, surplusKwh: 3000 });
+  close(rows[0].details[0].kwh, 0);
+  assert.equal(rows[0].details[1].energy, 'revente_pv');
+  close(rows[0].total, -300);
+  close(rows[1].pv.productionKwh, 5940);
+  close(rows[1].details[1].cost, -(5940 - 3000) * 0.102);
+
+  const { simulation, errors } = prepareSimulation(project({
+    scenarioEnabled: true,
+    scenarios: [{ name: 'PV', rows: [{ energy: 'electricite', unit: 'kwh', quantity: 3000, unitPrice: 0.25 }], pv: { power: 3, selfConsumption: 150 } }],
+  }));
+  assert.deepEqual(errors.map((e) => e.message), ['Scénario « PV » : Taux d\'autoconsommation invalide (entre 0 et 100 %).']);
+  assert.equal(simulation.scenarios[0].pv, null);
+});
+
+test('heatingFromState derives the final consumption of each system from the useful heat demand', () => {
+  const plain = (text) => text.replace(/\s/g, ' ');
+  const { rows } = heatingFromState({ system: 'hybrid', energy: 'gaz', efficiency: 80, fuelPrice: 0.12, scop: 3.2, electricityPrice: 0.25, heatPumpShare: 80 }, 12000);
+  assert.deepEqual(rows.map((r) => [r.energy, r.kwh, plain(r.derivation)]), [
+    ['electricite', 3000, '80 % de 12 000 kWh utiles ÷ SCOP 3,2'],
+    ['gaz', 3000, '20 % de 12 000 kWh utiles ÷ rendement 80 %'],
+  ]);
+  assert.equal(plain(heatingFromState({ system: 'heatpump', electricityPrice: 0.25 }, 12000).rows[0].derivation), '12 000 kWh utiles ÷ SCOP 3');
+  assert.match(heatingFromState({ system: 'boiler', fuelPrice: null }, 12000).error, /^Prix Gaz/);
+  assert.deepEqual(heatingFromState({ system: 'boiler' }, null), { rows: [], error: null });
+
+  // The derived rows are added to the entered ones and carried to the details of each year
+  const { simulation, errors } = prepareSimulation(project({ heatDemand: 9000, baseHeating: { system: 'boiler', energy: 'fioul', efficiency: 90, fuelPrice: 0.11 } }));
+  assert.deepEqual(errors, []);
+  const { base } = runSimulation(simulation);
+  close(base.rows[0].details[1].kwh, 10000);
+  assert.equal(plain(base.rows[0].details[1].derivation), '9 000 kWh utiles ÷ rendement 90 %');
+  assert.deepEqual(validateProjectState(project({ baseHeating: { system: 'poele' } })), ['baseHeating : système de chauffage invalide.']);
+});
+
+test('equipment costs escalate, replace once and credit the residual value in the total cost of ownership', () => {
+  const { equipment } = equipmentFromState({ maintenance: 100, sweeping: 50, escalation: 10, replacementCost: 1000, replacementYear: 2026, residualValue: 400 });
+  const { rows } = computeEvolution({ startYear: 2025, years: 2, rows: [gasRow()], escalationPctByEnergy: { gaz: 0 }, equipment });
+  close(rows[0].equipment.total, 150);
+  close(rows[1].equipment.replacement, 1100);
+  close(rows[2].equipment.total, 150 * 1.21 - 400);
+  close(rows[2].total, 1000);
+  close(cumulativeOwnershipCost({ rows }), 3000 + 150 + 165 + 1100 + 181.5 - 400);
+  assert.deepEqual(equipmentFromState({ maintenance: null }), { equipment: null, error: null });
+  assert.match(equipmentFromState({ replacementCost: 1000 }).error, /^Année du remplacement/);
+
+  // The scenario saves its maintenance contract every year
+  const { simulation } = prepareSimulation(project({
+    years: 1,
+    baseEquipment: { maintenance: 200 },
+    scenarioEnabled: true,
+    scenarios: [{ name: 'Même énergie', rows: project().baseRows, investment: { investment: 300 } }],
+  }));
+  const [scenario] = runSimulation(simulation).scenarios;
+  assert.deepEqual(scenario.investment.flows.map((f) => f.savings), [200, 200 * 1.02]);
+  assert.equal(scenario.investment.paybackYear, 2026);
+});
+
+test('monthlyEvolution spreads each year over its months and delays the price change', () => {
+  const row = { ...gasRow(), fixedCost: 120, profile: null };
+  const evolution = computeEvolution({ startYear: 2025, years: 1, rows: [row], escalationPctByEnergy: { gaz: 10 } });
+  const sum = (months, key) => months.reduce((total, month) => total + month[key], 0);
+
+  const january = monthlyEvolution(evolution, [row], { changeMonth: 1 });
+  january.rows.forEach((r, i) => close(r.total, evolution.rows[i].total));
+  close(january.rows[0].months[0].kwhTotal, 10000 * 0.18);
+  close(sum(january.rows[0].months.slice(6, 8), 'kwhTotal'), 0);
+
+  // From August only: the first seven months of 2026 keep the prices of 2025
+  const august = monthlyEvolution(evolution, [row], { changeMonth: 8 });
+  const [, second] = august.rows;
+  close(sum(second.months, 'total'), second.total);
+  close(second.total, 10000 * (0.6 * 0.1 + 0.4 * 0.11) + 120 * (7 / 12) + 132 * (5 / 12));
+  close(second.details[0].unitPriceYear, 0.6 * 0.1 + 0.4 * 0.11);
+
+  const plan = directDebitPlan(august.rows[0]);
+  assert.equal(plan.amount, 94);
+  assert.equal(plan.lowestMonth, 4);
+  close(plan.regularization, 94 * 12 - 1120);
+
+  const { errors } = prepareSimulation(project({ monthly: { enabled: true }, baseRows: [{ ...project().baseRows[0], profile: 'custom', profileWeights: '1;2' }] }));
+  assert.match(errors[0].message, /^Consommation de base : Profil personnalisé invalide/);
+});
+
+test('runPortfolio sums the sites over the shared period and ranks them by savings', () => {
+  const rows = (quantity) => [{ energy: 'gaz', unit: 'kwh', quantity, unitPrice: 0.1, fixedCost: 0, fixedEscalation: null }];
+  const portfolio = {
+    schemaVersion: 1,
+    name: 'Communes',
+    startYear: 2025,
+    years: 1,
+    escalation: { gaz: 10 },
+    sites: [
+      { name: 'École', overrideAssumptions: true, state: project({ escalation: { gaz: 0 }, baseRows: rows(10000) }) },
+      { name: 'Mairie', state: project({ baseRows: rows(10000), scenarioEnabled: true, scenarios: [{ name: 'Isolation', rows: rows(5000) }] }) },
+    ],
+  };
+  assert.deepEqual(validatePortfolioState(portfolio), []);
+
+  const result = runPortfolio(portfolio);
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.rows.map((r) => r.year), [2025, 2026]);
+  close(result.rows[1].base, 1000 + 1100);
+  close(result.rows[1].withScenarios, 1000 + 550);
+  close(result.baseCost, 2000 + 2100);
+  close(result.scenarioCost, 2000 + 1050);
+  assert.deepEqual(result.ranking.map((site) => [site.name, Math.round(site.savings)]), [['Mairie', 1050], ['École', 0]]);
+
+  assert.match(validatePortfolioState({ ...portfolio, startYear: undefined })[0], /^startYear, years/);
+  assert.match(validatePortfolioState({ ...portfolio, sites: [{ name: 'Vide' }] })[0], /^sites\[0\]/);
+});